@@ -6,33 +6,95 @@
 // State management
 const state = {
   myths: [],
-  filteredMyths: [],
+  results: [],
+  resultCount: 0,
+  searchHighlight: { terms: [], phrases: [] },
+  currentMatch: 0,
+  queryId: 0,
   metadata: null,
+  mythsById: new Map(),
+  textShards: new Map(),
+  themesById: new Map(),
   currentPage: 1,
   itemsPerPage: 24,
   searchQuery: '',
+  searchScope: 'all',
   selectedSource: 'all',
   selectedThemes: [],
+  minThemeConfidence: 30,
   selectedBook: 'all',
+  selectedSection: '',
+  selectedPassage: '',
   sortBy: 'relevance',
-  viewMode: 'cards'
+  viewMode: 'cards',
+  browseMode: 'results',
+  selectedFigure: null,
+  currentMythId: null,
+  // Previous/next in the modal follow the results, or the printed order of
+  // the books when continuing to read
+  readingMode: 'results',
+  readerPosition: null,
+  collections: [],
+  selectedCollection: 'all',
+  annotations: {},
+  selectedMyths: new Set(),
+  citationMyths: []
 };
 
+// Collections and annotations are kept in the browser between visits
+const COLLECTIONS_STORAGE_KEY = 'midrashim-collections';
+const ANNOTATIONS_STORAGE_KEY = 'midrashim-annotations';
+
+// Searching, filtering and sorting run in a worker that holds its own copy
+// of the data; see search-worker.js for the messages it understands
+const searchWorker = new Worker('search-worker.js');
+
 // DOM Elements
 const elements = {
   loading: document.getElementById('loading'),
   resultsGrid: document.getElementById('resultsGrid'),
   resultsCount: document.getElementById('resultsCount'),
   resultsShowing: document.getElementById('resultsShowing'),
+  resultsWarning: document.getElementById('resultsWarning'),
   emptyState: document.getElementById('emptyState'),
   pagination: document.getElementById('pagination'),
   pageInfo: document.getElementById('pageInfo'),
   prevPage: document.getElementById('prevPage'),
   nextPage: document.getElementById('nextPage'),
   searchInput: document.getElementById('searchInput'),
+  searchScope: document.getElementById('searchScope'),
   sourceFilters: document.getElementById('sourceFilters'),
   themeFilters: document.getElementById('themeFilters'),
+  themeConfidence: document.getElementById('themeConfidence'),
+  themeConfidenceValue: document.getElementById('themeConfidenceValue'),
   bookFilter: document.getElementById('bookFilter'),
+  sectionFilter: document.getElementById('sectionFilter'),
+  passageFilter: document.getElementById('passageFilter'),
+  collectionFilter: document.getElementById('collectionFilter'),
+  newCollection: document.getElementById('newCollection'),
+  deleteCollection: document.getElementById('deleteCollection'),
+  exportCollections: document.getElementById('exportCollections'),
+  importCollections: document.getElementById('importCollections'),
+  collectionMenu: document.getElementById('collectionMenu'),
+  annotationToolbar: document.getElementById('annotationToolbar'),
+  selectionActions: document.getElementById('selectionActions'),
+  selectionCount: document.getElementById('selectionCount'),
+  citeSelected: document.getElementById('citeSelected'),
+  clearSelection: document.getElementById('clearSelection'),
+  citationOverlay: document.getElementById('citationOverlay'),
+  updateBanner: document.getElementById('updateBanner'),
+  reloadApp: document.getElementById('reloadApp'),
+  citationClose: document.getElementById('citationClose'),
+  citationFormat: document.getElementById('citationFormat'),
+  citationExcerpt: document.getElementById('citationExcerpt'),
+  citationReferences: document.getElementById('citationReferences'),
+  citationOutput: document.getElementById('citationOutput'),
+  copyCitations: document.getElementById('copyCitations'),
+  downloadCitations: document.getElementById('downloadCitations'),
+  browseTabs: document.getElementById('browseTabs'),
+  scriptureIndex: document.getElementById('scriptureIndex'),
+  contentsView: document.getElementById('contentsView'),
+  figureView: document.getElementById('figureView'),
   clearFilters: document.getElementById('clearFilters'),
   modalOverlay: document.getElementById('modalOverlay'),
   modalContent: document.getElementById('modalContent'),
@@ -49,29 +111,63 @@ const elements = {
 
 // Initialize application
 async function init() {
+  searchWorker.addEventListener('message', (e) => handleSearchResults(e.data));
   try {
     await loadData();
+    state.collections = loadCollections();
+    state.annotations = loadAnnotations();
+    searchWorker.postMessage({ type: 'annotations', annotations: state.annotations });
     setupEventListeners();
     populateFilters();
-    applyFilters();
+    populateCollectionFilter();
+    restoreStateFromUrl();
     elements.loading.classList.add('hidden');
   } catch (error) {
     console.error('Failed to initialize:', error);
-    elements.loading.innerHTML = `
-      <div class="empty-icon">&#x26A0;</div>
-      <h3>Failed to load data</h3>
-      <p>Please ensure myths.json exists in the data folder</p>
-    `;
+    showLoadError();
   }
+  registerServiceWorker();
+}
+
+// The service worker keeps the app and its data for offline use, and says
+// when it has downloaded a newer build of the data
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('service-worker.js').catch(error => {
+    console.error('Failed to register service worker:', error);
+  });
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data.type === 'data-updated') elements.updateBanner.classList.remove('hidden');
+  });
+  elements.reloadApp.addEventListener('click', () => window.location.reload());
+}
+
+function showLoadError() {
+  elements.loading.classList.remove('hidden');
+  elements.loading.innerHTML = `
+    <div class="empty-icon">&#x26A0;</div>
+    <h3>Failed to load data</h3>
+    <p>Please ensure catalog.json and search-index.json exist in the data folder</p>
+  `;
 }
 
-// Load JSON data
+// Load the catalog; the full text of each myth is loaded when it is opened
 async function loadData() {
-  const response = await fetch('data/myths.json');
-  if (!response.ok) throw new Error('Failed to load myths data');
+  const response = await fetch('data/catalog.json');
+  if (!response.ok) throw new Error('Failed to load catalog');
   const data = await response.json();
+  searchWorker.postMessage({ type: 'catalog', catalog: data });
   state.myths = data.myths;
   state.metadata = data.metadata;
+  state.mythsById = new Map(state.myths.map(myth => [myth.id, myth]));
+  // Ids from earlier builds still find their myth
+  Object.entries(state.metadata.aliases || {}).forEach(([alias, id]) => {
+    if (!state.mythsById.has(alias) && state.mythsById.has(id)) {
+      state.mythsById.set(alias, state.mythsById.get(id));
+    }
+  });
+  TextSearch.addStemExceptions(state.metadata.stemExceptions || []);
+  indexThemes(state.metadata.themes || []);
   elements.totalCount.textContent = state.myths.length;
 }
 
@@ -82,12 +178,19 @@ function setupEventListeners() {
   elements.searchInput.addEventListener('input', (e) => {
     clearTimeout(searchTimeout);
     searchTimeout = setTimeout(() => {
-      state.searchQuery = e.target.value.toLowerCase().trim();
+      state.searchQuery = e.target.value.trim();
       state.currentPage = 1;
       applyFilters();
     }, 300);
   });
 
+  // Search scope
+  elements.searchScope.addEventListener('change', (e) => {
+    state.searchScope = e.target.value;
+    state.currentPage = 1;
+    applyFilters();
+  });
+
   // Source filters
   elements.sourceFilters.addEventListener('click', (e) => {
     if (e.target.classList.contains('chip')) {
@@ -99,8 +202,15 @@ function setupEventListeners() {
     }
   });
 
-  // Theme filters
+  // Theme filters; a parent theme can be expanded to show its sub-themes
   elements.themeFilters.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.theme-toggle');
+    if (toggle) {
+      const node = toggle.closest('.theme-node');
+      const expanded = node.classList.toggle('expanded');
+      toggle.setAttribute('aria-expanded', expanded);
+      return;
+    }
     if (e.target.classList.contains('chip')) {
       const theme = e.target.dataset.theme;
       if (theme === 'all') {
@@ -116,13 +226,176 @@ function setupEventListeners() {
     }
   });
 
+  // Theme confidence
+  elements.themeConfidence.addEventListener('input', (e) => {
+    elements.themeConfidenceValue.textContent = `${e.target.value}%`;
+  });
+  elements.themeConfidence.addEventListener('change', (e) => {
+    state.minThemeConfidence = parseInt(e.target.value);
+    state.currentPage = 1;
+    updateThemeFilterUI();
+    applyFilters();
+  });
+
   // Book filter
   elements.bookFilter.addEventListener('change', (e) => {
     state.selectedBook = e.target.value;
+    state.selectedSection = '';
+    state.currentPage = 1;
+    updateSectionFilterUI();
+    applyFilters();
+  });
+  elements.sectionFilter.addEventListener('change', (e) => {
+    state.selectedSection = e.target.value;
+    state.currentPage = 1;
+    applyFilters();
+  });
+
+  // Passage filter
+  let passageTimeout;
+  elements.passageFilter.addEventListener('input', (e) => {
+    clearTimeout(passageTimeout);
+    passageTimeout = setTimeout(() => {
+      setPassageFilter(e.target.value.trim());
+    }, 300);
+  });
+
+  // Collections
+  elements.collectionFilter.addEventListener('change', (e) => {
+    state.selectedCollection = e.target.value;
     state.currentPage = 1;
+    elements.deleteCollection.disabled = !getCollection(state.selectedCollection);
+    applyFilters();
+  });
+
+  elements.newCollection.addEventListener('click', () => {
+    const collection = promptNewCollection();
+    if (collection) {
+      state.selectedCollection = collection.id;
+      state.currentPage = 1;
+      populateCollectionFilter();
+      applyFilters();
+    }
+  });
+
+  elements.deleteCollection.addEventListener('click', () => {
+    const collection = getCollection(state.selectedCollection);
+    if (!collection || !confirm(`Delete the collection "${collection.name}"?`)) return;
+    state.collections = state.collections.filter(c => c.id !== collection.id);
+    saveCollections();
+    state.selectedCollection = 'all';
+    populateCollectionFilter();
     applyFilters();
   });
 
+  elements.exportCollections.addEventListener('click', exportCollections);
+
+  elements.importCollections.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const count = importCollections(await file.text());
+      populateCollectionFilter();
+      applyFilters();
+      alert(`Imported ${count} collection${count === 1 ? '' : 's'}`);
+    } catch (error) {
+      console.error('Failed to import collections:', error);
+      alert('That file does not contain valid collections');
+    }
+  });
+
+  elements.collectionMenu.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const mythId = elements.collectionMenu.dataset.id;
+    const option = e.target.closest('[data-collection]');
+    if (option) {
+      // Handle the label ourselves so its checkbox does not fire a second click
+      e.preventDefault();
+      toggleInCollection(option.dataset.collection, mythId);
+    } else if (e.target.closest('.collection-menu-new')) {
+      const collection = promptNewCollection();
+      if (!collection) return;
+      toggleInCollection(collection.id, mythId);
+      populateCollectionFilter();
+    } else {
+      return;
+    }
+    renderCollectionMenu(mythId);
+    refreshBookmarks();
+  });
+
+  document.addEventListener('click', (e) => {
+    if (!elements.collectionMenu.contains(e.target) && !e.target.closest('.bookmark-btn')) {
+      elements.collectionMenu.classList.add('hidden');
+    }
+  });
+
+  // Annotation toolbar
+  document.addEventListener('mousedown', (e) => {
+    if (!elements.annotationToolbar.contains(e.target)) {
+      elements.annotationToolbar.classList.add('hidden');
+    }
+  });
+
+  // Browse mode tabs
+  elements.browseTabs.addEventListener('click', (e) => {
+    if (e.target.classList.contains('browse-tab')) {
+      setBrowseMode(e.target.dataset.browse);
+    }
+  });
+
+  // Scripture index: open myths and filter by passage
+  elements.scriptureIndex.addEventListener('click', (e) => {
+    const mythLink = e.target.closest('.scripture-myth');
+    if (mythLink) {
+      const myth = state.mythsById.get(mythLink.dataset.id);
+      if (myth) openModal(myth);
+      return;
+    }
+    const passageLink = e.target.closest('.scripture-filter');
+    if (passageLink) {
+      e.preventDefault();
+      elements.passageFilter.value = passageLink.dataset.passage;
+      setPassageFilter(passageLink.dataset.passage);
+      setBrowseMode('results');
+    }
+  });
+
+  // Contents: open myths and filter by source, book or section
+  elements.contentsView.addEventListener('click', (e) => {
+    const mythLink = e.target.closest('.contents-myth');
+    if (mythLink) {
+      const myth = state.mythsById.get(mythLink.dataset.id);
+      if (myth) openModal(myth);
+      return;
+    }
+    const filterLink = e.target.closest('.contents-filter');
+    if (filterLink) {
+      e.preventDefault();
+      const { source, book, section } = filterLink.dataset;
+      setLocationFilter(getContentsLocation(source, book, section));
+      setBrowseMode('results');
+      scrollToTop();
+    }
+  });
+
+  // Figures: list, character pages and the myths on them
+  elements.figureView.addEventListener('click', (e) => {
+    const figureLink = e.target.closest('[data-figure]');
+    if (figureLink) {
+      showFigure(figureLink.dataset.figure);
+      return;
+    }
+    const mythLink = e.target.closest('.figure-myth');
+    if (mythLink) {
+      const myth = state.mythsById.get(mythLink.dataset.id);
+      if (myth) openModal(myth);
+      return;
+    }
+    if (e.target.closest('.figure-back')) showFigure(null);
+  });
+
   // Sort buttons
   document.querySelectorAll('.sort-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
@@ -144,16 +417,16 @@ function setupEventListeners() {
   elements.prevPage.addEventListener('click', () => {
     if (state.currentPage > 1) {
       state.currentPage--;
-      renderResults();
+      applyFilters();
       scrollToTop();
     }
   });
 
   elements.nextPage.addEventListener('click', () => {
-    const totalPages = Math.ceil(state.filteredMyths.length / state.itemsPerPage);
+    const totalPages = Math.ceil(state.resultCount / state.itemsPerPage);
     if (state.currentPage < totalPages) {
       state.currentPage++;
-      renderResults();
+      applyFilters();
       scrollToTop();
     }
   });
@@ -164,9 +437,56 @@ function setupEventListeners() {
     if (e.target === elements.modalOverlay) closeModal();
   });
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') closeModal();
+    if (e.key === 'Escape') {
+      if (!elements.citationOverlay.classList.contains('hidden')) {
+        closeCitations();
+      } else {
+        closeModal();
+      }
+      return;
+    }
+
+    // Arrow keys and j/k step through myths while one is open, unless the
+    // reader is typing
+    const step = { ArrowRight: 1, j: 1, ArrowLeft: -1, k: -1 }[e.key];
+    if (!step || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (elements.modalOverlay.classList.contains('hidden') ||
+        !elements.citationOverlay.classList.contains('hidden')) return;
+    if (e.target.closest('input, textarea, select, [contenteditable]')) return;
+    e.preventDefault();
+    stepReader(step);
   });
 
+  // Citations
+  elements.citeSelected.addEventListener('click', () => {
+    openCitations(state.myths.filter(m => state.selectedMyths.has(m.id)));
+  });
+  elements.clearSelection.addEventListener('click', () => {
+    state.selectedMyths.clear();
+    renderResults();
+  });
+  elements.citationClose.addEventListener('click', closeCitations);
+  elements.citationOverlay.addEventListener('click', (e) => {
+    if (e.target === elements.citationOverlay) closeCitations();
+  });
+  [elements.citationFormat, elements.citationExcerpt, elements.citationReferences].forEach(control => {
+    control.addEventListener('change', renderCitations);
+  });
+  elements.copyCitations.addEventListener('click', () => {
+    navigator.clipboard.writeText(elements.citationOutput.value).then(() => {
+      elements.copyCitations.textContent = 'Copied';
+      setTimeout(() => { elements.copyCitations.textContent = 'Copy'; }, 1500);
+    });
+  });
+  elements.downloadCitations.addEventListener('click', () => {
+    const format = CITATION_FORMATS[elements.citationFormat.value];
+    const name = state.citationMyths.length === 1 ? state.citationMyths[0].id : 'midrashim-citations';
+    downloadFile(`${name}.${format.extension}`, elements.citationOutput.value, format.type);
+  });
+
+  // Back/forward
+  window.addEventListener('popstate', restoreStateFromUrl);
+
   // Mobile filter toggle
   elements.mobileFilterToggle.addEventListener('click', () => {
     elements.sidebar.classList.toggle('open');
@@ -185,42 +505,29 @@ function setupEventListeners() {
 
 // Populate filter options
 function populateFilters() {
-  // Theme filters
-  const themeLabels = {
-    'adam-eve': 'Adam & Eve',
-    'holy-land': 'Holy Land',
-    'messiah': 'Messiah',
-    'mysticism': 'Mysticism',
-    'patriarchs': 'Patriarchs',
-    'creatures': 'Creatures',
-    'prophecy': 'Prophecy',
-    'temple': 'Temple',
-    'angels': 'Angels',
-    'demons': 'Demons',
-    'heaven': 'Heaven',
-    'hell': 'Hell',
-    'creation': 'Creation',
-    'torah': 'Torah',
-    'moses': 'Moses',
-    'noah': 'Noah',
-    'soul': 'Soul',
-    'exile': 'Exile'
-  };
+  // Source filters
+  const sourcesHtml = state.metadata.sources.map(source =>
+    `<button class="chip" data-source="${source.id}">${escapeHtml(source.label)}</button>`
+  ).join('');
+  elements.sourceFilters.innerHTML = `
+    <button class="chip active" data-source="all">All Sources</button>
+    ${sourcesHtml}
+  `;
 
-  const themesHtml = state.metadata.filterOptions.themes.map(theme => {
-    const label = themeLabels[theme] || theme.charAt(0).toUpperCase() + theme.slice(1);
-    return `<button class="chip" data-theme="${theme}">${label}</button>`;
-  }).join('');
+  // Theme filters, as a tree of the themes in use
   elements.themeFilters.innerHTML = `
     <button class="chip active" data-theme="all">All Themes</button>
-    ${themesHtml}
+    ${renderThemeTree(getThemeTree())}
   `;
 
-  // Book filter
-  const booksHtml = state.metadata.filterOptions.books.map(book => {
-    const displayName = book.length > 50 ? book.substring(0, 47) + '...' : book;
-    return `<option value="${book}">${displayName}</option>`;
-  }).join('');
+  // Book filter, grouped by source in the order of the printed works
+  const bookOption = book => `<option value="${escapeHtml(book)}">${escapeHtml(book)}</option>`;
+  const booksHtml = state.metadata.contents
+    ? state.metadata.contents.map(({ source, books }) => `
+        <optgroup label="${escapeHtml(getSourceLabel(source, true))}">
+          ${books.map(book => bookOption(book.title)).join('')}
+        </optgroup>`).join('')
+    : state.metadata.filterOptions.books.map(bookOption).join('');
   elements.bookFilter.innerHTML = `
     <option value="all">All Books & Chapters</option>
     ${booksHtml}
@@ -228,106 +535,100 @@ function populateFilters() {
 }
 
 // Apply all filters and search
+// The worker answers with the current page of results, or with every result
+// for the scripture index. Only the answer to the latest query is rendered
 function applyFilters() {
-  let results = [...state.myths];
-
-  // Search filter
-  if (state.searchQuery) {
-    const query = state.searchQuery;
-    results = results.filter(myth => {
-      const searchText = `${myth.title} ${myth.content} ${myth.commentary || ''} ${myth.themes.join(' ')}`.toLowerCase();
-      return searchText.includes(query);
-    });
-
-    // Calculate relevance scores for search results
-    results = results.map(myth => {
-      let score = 0;
-      const query = state.searchQuery;
-
-      // Title match is most important
-      if (myth.title.toLowerCase().includes(query)) score += 100;
-
-      // Theme match
-      if (myth.themes.some(t => t.includes(query))) score += 50;
-
-      // Content match
-      const contentMatches = (myth.content.toLowerCase().match(new RegExp(query, 'g')) || []).length;
-      score += contentMatches * 5;
+  state.queryId++;
+  searchWorker.postMessage({
+    type: 'query',
+    id: state.queryId,
+    ...getSearchRequest(),
+    offset: showsAllResults() ? 0 : (state.currentPage - 1) * state.itemsPerPage,
+    limit: showsAllResults() ? null : state.itemsPerPage
+  });
+}
 
-      return { ...myth, relevanceScore: score };
-    });
-  } else {
-    results = results.map(myth => ({ ...myth, relevanceScore: 0 }));
-  }
+// The scripture index and the contents place every result, not just a page
+function showsAllResults() {
+  return state.browseMode === 'scripture' || state.browseMode === 'contents';
+}
 
-  // Source filter
-  if (state.selectedSource !== 'all') {
-    results = results.filter(myth => myth.sourceWork === state.selectedSource);
-  }
+// The search and filters as the worker expects them
+function getSearchRequest() {
+  const collection = getCollection(state.selectedCollection);
+  return {
+    query: state.searchQuery,
+    scope: state.searchScope,
+    source: state.selectedSource,
+    themes: state.selectedThemes,
+    minThemeConfidence: state.minThemeConfidence,
+    book: state.selectedBook,
+    section: state.selectedSection,
+    collection: collection ? collection.mythIds : null,
+    passage: state.selectedPassage,
+    sortBy: state.sortBy
+  };
+}
 
-  // Theme filter
-  if (state.selectedThemes.length > 0) {
-    results = results.filter(myth =>
-      state.selectedThemes.some(theme => myth.themes.includes(theme))
-    );
+function handleSearchResults(message) {
+  if (message.id !== state.queryId) return;
+  if (message.type === 'error') {
+    console.error('Search failed:', message.message);
+    showLoadError();
+    return;
   }
-
-  // Book filter
-  if (state.selectedBook !== 'all') {
-    results = results.filter(myth => myth.book === state.selectedBook);
+  if (message.type === 'location') {
+    if (message.mythId === state.currentMythId && state.readingMode === 'results') {
+      setReaderPosition({
+        previous: message.previous,
+        next: message.next,
+        label: message.index === -1 ? 'Not in the current results' : `${message.index + 1} of ${message.total}`
+      });
+    }
+    return;
   }
 
-  // Sort
-  results = sortResults(results);
-
-  state.filteredMyths = results;
-  renderResults();
+  state.resultCount = message.total;
+  state.searchHighlight = message.highlight;
+  state.results = message.results.map(result => ({ ...result, myth: state.mythsById.get(result.id) }));
+  elements.passageFilter.classList.toggle('invalid', !message.passageValid);
+  elements.resultsWarning.classList.toggle('hidden', !message.textMissing);
+  renderCurrentView();
 }
 
-// Sort results
-function sortResults(results) {
-  switch (state.sortBy) {
-    case 'relevance':
-      if (state.searchQuery) {
-        return results.sort((a, b) => b.relevanceScore - a.relevanceScore);
-      }
-      // Default order by source and number
-      return results.sort((a, b) => {
-        if (a.sourceWork !== b.sourceWork) {
-          return a.sourceWork.localeCompare(b.sourceWork);
-        }
-        return (a.number || 0) - (b.number || 0);
-      });
-    case 'title':
-      return results.sort((a, b) => a.title.localeCompare(b.title));
-    case 'source':
-      return results.sort((a, b) => {
-        const sourceOrder = { 'schwartz': 1, 'ginzberg-v1': 2, 'ginzberg-v2': 3 };
-        return (sourceOrder[a.sourceWork] || 99) - (sourceOrder[b.sourceWork] || 99);
-      });
-    default:
-      return results;
+function renderCurrentView() {
+  if (state.browseMode === 'scripture') {
+    renderScriptureIndex();
+  } else if (state.browseMode === 'contents') {
+    renderContents();
+  } else if (state.browseMode === 'figures') {
+    renderFigureView();
+  } else {
+    renderResults();
   }
+  updateUrl();
 }
 
 // Render results
 function renderResults() {
-  const { filteredMyths, currentPage, itemsPerPage } = state;
-  const totalPages = Math.ceil(filteredMyths.length / itemsPerPage);
+  const { results, resultCount, currentPage, itemsPerPage } = state;
+  const totalPages = Math.ceil(resultCount / itemsPerPage);
   const startIndex = (currentPage - 1) * itemsPerPage;
   const endIndex = startIndex + itemsPerPage;
-  const pageResults = filteredMyths.slice(startIndex, endIndex);
 
   // Update counts
-  elements.resultsCount.textContent = `${filteredMyths.length} results`;
-  if (filteredMyths.length > itemsPerPage) {
-    elements.resultsShowing.textContent = `Showing ${startIndex + 1}-${Math.min(endIndex, filteredMyths.length)}`;
+  elements.resultsCount.textContent = `${resultCount} results`;
+  if (resultCount > itemsPerPage) {
+    elements.resultsShowing.textContent = `Showing ${startIndex + 1}-${Math.min(endIndex, resultCount)}`;
   } else {
     elements.resultsShowing.textContent = '';
   }
 
   // Show/hide states
-  if (filteredMyths.length === 0) {
+  elements.scriptureIndex.classList.add('hidden');
+  elements.contentsView.classList.add('hidden');
+  elements.figureView.classList.add('hidden');
+  if (resultCount === 0) {
     elements.resultsGrid.classList.add('hidden');
     elements.emptyState.classList.remove('hidden');
     elements.pagination.classList.add('hidden');
@@ -338,62 +639,381 @@ function renderResults() {
   }
 
   // Render cards
-  elements.resultsGrid.innerHTML = pageResults.map(myth => createMythCard(myth)).join('');
+  elements.resultsGrid.innerHTML = results.map(result => createMythCard(result.myth, result)).join('');
 
   // Add click handlers to cards
   elements.resultsGrid.querySelectorAll('.myth-card').forEach(card => {
-    card.addEventListener('click', () => {
+    card.addEventListener('click', (e) => {
       const mythId = card.dataset.id;
-      const myth = state.myths.find(m => m.id === mythId);
+      if (e.target.closest('.myth-card-select')) {
+        toggleMythSelection(mythId, e.target.checked);
+        card.classList.toggle('selected', e.target.checked);
+        return;
+      }
+      const bookmark = e.target.closest('.bookmark-btn');
+      if (bookmark) {
+        openCollectionMenu(mythId, bookmark);
+        return;
+      }
+      const move = e.target.closest('.myth-card-move');
+      if (move) {
+        moveInCollection(state.selectedCollection, mythId, parseInt(move.dataset.offset));
+        applyFilters();
+        return;
+      }
+      const myth = state.mythsById.get(mythId);
       if (myth) openModal(myth);
     });
   });
 
+  updateSelectionUI();
+
   // Update pagination
   elements.pageInfo.textContent = `Page ${currentPage} of ${totalPages || 1}`;
   elements.prevPage.disabled = currentPage <= 1;
   elements.nextPage.disabled = currentPage >= totalPages;
 }
 
-// Create myth card HTML
-function createMythCard(myth) {
-  const sourceLabels = {
-    'schwartz': 'Tree of Souls',
-    'ginzberg-v1': 'Legends Vol. 1',
-    'ginzberg-v2': 'Legends Vol. 2'
+// Render the current results as Book -> Chapter -> Verse, in canonical order
+function renderScriptureIndex() {
+  const books = new Map();
+  const myths = state.results.map(result => result.myth);
+  myths.forEach(myth => {
+    myth.biblicalReferences.forEach(ref => {
+      if (!books.has(ref.book)) books.set(ref.book, { myths: new Set(), chapters: new Map() });
+      const book = books.get(ref.book);
+      book.myths.add(myth);
+
+      if (!book.chapters.has(ref.chapter)) book.chapters.set(ref.chapter, { myths: new Set(), passages: new Map() });
+      const chapter = book.chapters.get(ref.chapter);
+      chapter.myths.add(myth);
+
+      const passageKey = ref.verseStart === null ? '' : formatReference(ref);
+      if (!chapter.passages.has(passageKey)) chapter.passages.set(passageKey, { ref, myths: new Set() });
+      chapter.passages.get(passageKey).myths.add(myth);
+    });
+  });
+
+  const mythLinks = myths => `
+    <ul class="scripture-myths">${[...myths].map(myth => `
+      <li><button class="scripture-myth" data-id="${myth.id}">${escapeHtml(myth.title)}</button></li>`).join('')}
+    </ul>`;
+
+  const passageLink = passage =>
+    `<a href="#" class="scripture-filter" data-passage="${escapeHtml(passage)}" title="Filter results to ${escapeHtml(passage)}">Filter</a>`;
+
+  const booksHtml = state.metadata.bibleBooks.map(({ name }) => {
+    const book = books.get(name);
+    if (!book) return `<div class="scripture-book empty"><span>${escapeHtml(name)}</span><span class="scripture-count">0</span></div>`;
+
+    const chaptersHtml = [...book.chapters.entries()].sort((a, b) => a[0] - b[0]).map(([number, chapter]) => {
+      const passagesHtml = [...chapter.passages.entries()]
+        .sort((a, b) => (a[1].ref.verseStart || 0) - (b[1].ref.verseStart || 0))
+        .map(([key, passage]) => `
+          <div class="scripture-passage">
+            <div class="scripture-passage-header">
+              <span>${key ? escapeHtml(key) : 'Whole chapter'}</span>
+              <span class="scripture-count">${passage.myths.size}</span>
+              ${key ? passageLink(key) : ''}
+            </div>
+            ${mythLinks(passage.myths)}
+          </div>`).join('');
+
+      return `
+        <details class="scripture-chapter">
+          <summary>
+            <span>Chapter ${number}</span>
+            <span class="scripture-count">${chapter.myths.size}</span>
+            ${passageLink(`${name} ${number}`)}
+          </summary>
+          ${passagesHtml}
+        </details>`;
+    }).join('');
+
+    return `
+      <details class="scripture-book">
+        <summary>
+          <span>${escapeHtml(name)}</span>
+          <span class="scripture-count">${book.myths.size}</span>
+        </summary>
+        ${chaptersHtml}
+      </details>`;
+  }).join('');
+
+  const citingCount = myths.filter(myth => myth.biblicalReferences.length > 0).length;
+  elements.resultsCount.textContent = `${citingCount} results citing scripture`;
+  elements.resultsShowing.textContent = '';
+  elements.resultsGrid.classList.add('hidden');
+  elements.pagination.classList.add('hidden');
+  elements.emptyState.classList.toggle('hidden', citingCount > 0);
+  elements.figureView.classList.add('hidden');
+  elements.contentsView.classList.add('hidden');
+  elements.scriptureIndex.classList.toggle('hidden', citingCount === 0);
+  elements.scriptureIndex.innerHTML = booksHtml;
+}
+
+// Render the printed table of contents of each source, Book > Section > Myth,
+// counting the results under each heading. Myths outside the results are
+// dimmed, and entries the parser did not find in the text are shown as gaps
+function renderContents() {
+  const matching = new Set(state.results.map(result => result.id));
+  const entries = node => node.sections.flatMap(section => section.entries);
+  const countOf = list => list.filter(entry => matching.has(entry.id)).length;
+  const gapsOf = list => list.filter(entry => !entry.id).length;
+
+  const heading = (label, list, filter, selected) => {
+    const count = countOf(list);
+    const gaps = gapsOf(list);
+    return `
+      <summary class="${selected ? 'active' : ''}">
+        <span>${escapeHtml(label)}</span>
+        <span class="scripture-count" title="Results under this heading">${count}</span>
+        ${gaps > 0 ? `<span class="contents-gap-count" title="Listed in the printed contents but not found in the text">${gaps} missing</span>` : ''}
+        <a href="#" class="contents-filter" ${filter} title="Filter results to ${escapeHtml(label)}">Filter</a>
+      </summary>`;
   };
 
-  const excerpt = myth.content.substring(0, 200) + (myth.content.length > 200 ? '...' : '');
+  const entryList = list => `
+    <ol class="contents-entries">${list.map(entry => {
+      if (!entry.id) {
+        return `
+          <li class="contents-gap" title="Listed in the printed contents but not found in the text">
+            ${entry.number ? `<span class="contents-number">${entry.number}.</span>` : ''}
+            <span>${escapeHtml(entry.title)}</span>
+            <span class="contents-gap-label">not found</span>
+          </li>`;
+      }
+      const myth = state.mythsById.get(entry.id);
+      return `
+        <li class="${matching.has(entry.id) ? '' : 'outside'}">
+          ${myth.number ? `<span class="contents-number">${myth.number}.</span>` : ''}
+          <button class="contents-myth" data-id="${myth.id}">${escapeHtml(myth.title)}</button>
+        </li>`;
+    }).join('')}
+    </ol>`;
+
+  const sourcesHtml = (state.metadata.contents || []).map(({ source, books }) => {
+    const sourceSelected = state.selectedSource === source;
+    const booksHtml = books.map((book, b) => {
+      const bookSelected = sourceSelected && state.selectedBook === book.title;
+      const sectionsHtml = book.sections.map((section, s) => {
+        // Works without sections list their myths under the book
+        if (!section.title) return entryList(section.entries);
+        const sectionSelected = bookSelected && state.selectedSection === section.title;
+        return `
+          <details class="contents-section" ${sectionSelected ? 'open' : ''}>
+            ${heading(section.title, section.entries, `data-source="${source}" data-book="${b}" data-section="${s}"`, sectionSelected)}
+            ${entryList(section.entries)}
+          </details>`;
+      }).join('');
+
+      return `
+        <details class="contents-book" ${bookSelected ? 'open' : ''}>
+          ${heading(book.title, entries(book), `data-source="${source}" data-book="${b}"`, bookSelected && !state.selectedSection)}
+          ${sectionsHtml}
+        </details>`;
+    }).join('');
+
+    return `
+      <details class="contents-source" open>
+        ${heading(getSourceLabel(source, true), books.flatMap(entries), `data-source="${source}"`, sourceSelected && state.selectedBook === 'all')}
+        ${booksHtml}
+      </details>`;
+  }).join('');
+
+  elements.resultsCount.textContent = `${state.resultCount} results`;
+  elements.resultsShowing.textContent = '';
+  elements.resultsGrid.classList.add('hidden');
+  elements.pagination.classList.add('hidden');
+  elements.emptyState.classList.add('hidden');
+  elements.scriptureIndex.classList.add('hidden');
+  elements.figureView.classList.add('hidden');
+  elements.contentsView.classList.remove('hidden');
+  elements.contentsView.innerHTML = sourcesHtml;
+}
+
+// The source, book and section a contents heading stands for, from the
+// source id and the indexes of the book and section
+function getContentsLocation(sourceId, bookIndex, sectionIndex) {
+  const { books } = state.metadata.contents.find(contents => contents.source === sourceId);
+  const book = bookIndex === undefined ? null : books[bookIndex];
+  const section = book && sectionIndex !== undefined ? book.sections[sectionIndex] : null;
+  return {
+    source: sourceId,
+    book: book ? book.title : 'all',
+    section: section ? section.title : ''
+  };
+}
+
+// Render the list of named figures, or the page for the selected one
+function renderFigureView() {
+  elements.resultsGrid.classList.add('hidden');
+  elements.pagination.classList.add('hidden');
+  elements.emptyState.classList.add('hidden');
+  elements.scriptureIndex.classList.add('hidden');
+  elements.contentsView.classList.add('hidden');
+  elements.figureView.classList.remove('hidden');
+  elements.resultsShowing.textContent = '';
+
+  const figure = state.metadata.figures.find(f => f.id === state.selectedFigure);
+  if (figure) {
+    renderFigurePage(figure);
+    return;
+  }
+
+  const counts = state.metadata.stats.figures;
+  const figures = state.metadata.figures
+    .filter(f => counts[f.id])
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  elements.resultsCount.textContent = `${figures.length} figures`;
+  elements.figureView.innerHTML = `
+    <div class="figure-list">${figures.map(f => `
+      <button class="figure-chip" data-figure="${f.id}">
+        <span>${escapeHtml(f.name)}</span>
+        <span class="scripture-count">${counts[f.id]}</span>
+      </button>`).join('')}
+    </div>
+  `;
+}
+
+function renderFigurePage(figure) {
+  const myths = state.myths.filter(myth => (myth.figures || []).includes(figure.id));
+
+  // Group by source, then by book, keeping the order of the printed works
+  const sources = new Map();
+  myths.forEach(myth => {
+    if (!sources.has(myth.sourceWork)) sources.set(myth.sourceWork, new Map());
+    const books = sources.get(myth.sourceWork);
+    const book = myth.book || 'Other';
+    if (!books.has(book)) books.set(book, []);
+    books.get(book).push(myth);
+  });
+
+  // Which other figures appear alongside this one most often
+  const coOccurrences = new Map();
+  myths.forEach(myth => {
+    myth.figures.forEach(id => {
+      if (id !== figure.id) coOccurrences.set(id, (coOccurrences.get(id) || 0) + 1);
+    });
+  });
+  const figureNames = new Map(state.metadata.figures.map(f => [f.id, f.name]));
+  const related = [...coOccurrences.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10);
+
+  const sourcesHtml = [...sources.entries()].map(([source, books]) => `
+    <section class="figure-source">
+      <h3>${escapeHtml(getSourceLabel(source, true))}</h3>
+      ${[...books.entries()].map(([book, bookMyths]) => `
+        <h4>${escapeHtml(book)}</h4>
+        <ul>${bookMyths.map(myth => `
+          <li>
+            <button class="figure-myth" data-id="${myth.id}">${escapeHtml(myth.title)}</button>
+            ${myth.number ? `<span class="myth-card-number">#${myth.number}</span>` : ''}
+          </li>`).join('')}
+        </ul>`).join('')}
+    </section>`).join('');
+
+  elements.resultsCount.textContent = `${myths.length} entries`;
+  elements.figureView.innerHTML = `
+    <article class="figure-page">
+      <button class="figure-back">&larr; All figures</button>
+      <h2 class="figure-name">${escapeHtml(figure.name)}</h2>
+      <p class="figure-bio">${escapeHtml(figure.bio)}</p>
+      ${figure.aliases.length > 1 ? `<p class="figure-aliases">Also: ${figure.aliases.filter(a => a !== figure.name).map(a => escapeHtml(a)).join(', ')}</p>` : ''}
+      ${related.length > 0 ? `
+        <div class="modal-section-label">Appears most often with</div>
+        <div class="figure-related">${related.map(([id, count]) => `
+          <button class="chip" data-figure="${id}">${escapeHtml(figureNames.get(id) || id)} <span class="figure-related-count">${count}</span></button>`).join('')}
+        </div>` : ''}
+      ${sourcesHtml}
+    </article>
+  `;
+}
+
+// Open the character page for a figure (or the list when id is null)
+function showFigure(id) {
+  state.selectedFigure = id;
+  // Leaving the modal and opening the page is a single history step
+  state.currentMythId = null;
+  closeModal();
+  setBrowseMode('figures');
+  scrollToTop();
+}
+
+// Create myth card HTML
+// result carries what the search found: spelling variants it matched and
+// a snippet of the passage that matched, shown instead of the excerpt
+function createMythCard(myth, result = {}) {
+  const { matchedVariants = [], snippet = null } = result;
+  const excerpt = snippet
+    ? renderHighlightedText(snippet.text, snippet.highlights)
+    : escapeHtml(myth.excerpt);
+  const title = renderHighlightedText(myth.title, getSearchMatches(myth.title));
   const themeTags = myth.themes.slice(0, 4).map(t =>
-    `<span class="theme-tag">${t.replace('-', ' ')}</span>`
+    `<span class="theme-tag">${escapeHtml(getThemeLabel(t))}</span>`
   ).join('');
 
+  const selected = state.selectedMyths.has(myth.id);
+
   return `
-    <article class="myth-card" data-id="${myth.id}">
+    <article class="myth-card${selected ? ' selected' : ''}" data-id="${myth.id}">
       <div class="myth-card-header">
-        <h3 class="myth-card-title">${escapeHtml(myth.title)}</h3>
+        <input type="checkbox" class="myth-card-select" title="Select for citation" ${selected ? 'checked' : ''}>
+        <h3 class="myth-card-title">${title}</h3>
         ${myth.number ? `<span class="myth-card-number">#${myth.number}</span>` : ''}
+        ${bookmarkButton(myth.id)}
       </div>
       <div class="myth-card-meta">
-        <span class="myth-card-source">${sourceLabels[myth.sourceWork] || myth.sourceWork}</span>
+        <span class="myth-card-source">${escapeHtml(getSourceLabel(myth.sourceWork))}</span>
         ${myth.book ? `<span class="myth-card-book">${escapeHtml(myth.book)}</span>` : ''}
       </div>
-      <p class="myth-card-excerpt">${escapeHtml(excerpt)}</p>
+      ${matchedVariants.length > 0
+        ? `<div class="myth-card-variants">Also matched: ${matchedVariants.map(v => escapeHtml(v)).join(', ')}</div>`
+        : ''}
+      ${snippet && snippet.field === 'commentary' ? '<div class="myth-card-match-field">Matched in commentary</div>' : ''}
+      <p class="myth-card-excerpt">${excerpt}</p>
       <div class="myth-card-themes">${themeTags}</div>
+      ${getCollection(state.selectedCollection) && !state.searchQuery && state.sortBy === 'relevance' ? `
+        <div class="myth-card-reorder">
+          <button class="myth-card-move" data-offset="-1" title="Move up">&uarr;</button>
+          <button class="myth-card-move" data-offset="1" title="Move down">&darr;</button>
+        </div>` : ''}
     </article>
   `;
 }
 
-// Open modal with myth details
+// Open modal with myth details, showing it straight away and filling it in
+// once the myth's text has loaded
 function openModal(myth) {
-  const sourceLabels = {
-    'schwartz': 'Tree of Souls (Schwartz)',
-    'ginzberg-v1': 'Legends of the Jews Vol. 1 (Ginzberg)',
-    'ginzberg-v2': 'Legends of the Jews Vol. 2 (Ginzberg)'
-  };
+  elements.modalOverlay.classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
+  state.currentMythId = myth.id;
+  state.readerPosition = null;
+  updateUrl();
 
+  if (hasMythText(myth)) {
+    renderModal(myth);
+    return;
+  }
+  elements.modalContent.innerHTML = `
+    <div class="modal-header">
+      <h2 class="modal-title">${escapeHtml(myth.title)}</h2>
+    </div>
+    <div class="loading modal-loading"><div class="loading-spinner"></div></div>
+  `;
+  loadMythText([myth])
+    .then(() => {
+      if (state.currentMythId === myth.id) renderModal(myth);
+    })
+    .catch(error => {
+      console.error('Failed to load text:', error);
+      elements.modalContent.querySelector('.modal-loading').textContent = 'The text of this myth could not be loaded.';
+    });
+}
+
+function renderModal(myth) {
   const themeTags = myth.themes.map(t =>
-    `<span class="modal-theme-tag">${t.replace('-', ' ')}</span>`
+    `<span class="modal-theme-tag" title="Theme confidence">${escapeHtml(getThemeLabel(t))} <span class="modal-theme-score">${Math.round(getThemeScore(myth, t) * 100)}%</span></span>`
   ).join('');
 
   const sourcesList = myth.sources && myth.sources.length > 0
@@ -406,43 +1026,974 @@ function openModal(myth) {
   const referencesList = myth.biblicalReferences && myth.biblicalReferences.length > 0
     ? `<div class="modal-references">
          <h4>Biblical References</h4>
-         <ul>${myth.biblicalReferences.map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ul>
+         <ul>${myth.biblicalReferences.map(r => `<li>${escapeHtml(formatReference(r))}</li>`).join('')}</ul>
+       </div>`
+    : '';
+
+  const rabbinicList = myth.rabbinicReferences && myth.rabbinicReferences.length > 0
+    ? `<div class="modal-references modal-rabbinic">
+         <h4>Rabbinic Sources</h4>
+         <ul>${myth.rabbinicReferences.map(r => `
+           <li title="${escapeHtml(r.corpus)}">${escapeHtml(formatRabbinicReference(r))}</li>`).join('')}
+         </ul>
+       </div>`
+    : '';
+
+  const studiesList = myth.studies && myth.studies.length > 0
+    ? `<div class="modal-studies">
+         <h4>Studies</h4>
+         <ul>${myth.studies.map(s => `
+           <li>
+             <span class="study-title">${escapeHtml(s.title)}</span>
+             ${s.author ? `<span class="study-author">${escapeHtml(s.author)}</span>` : ''}
+             ${s.year ? `<span class="study-year">${s.year}</span>` : ''}
+           </li>`).join('')}
+         </ul>
+       </div>`
+    : '';
+
+  const parallels = (myth.parallels || [])
+    .map(p => ({ ...p, myth: state.mythsById.get(p.id) }))
+    .filter(p => p.myth);
+  const parallelsList = parallels.length > 0
+    ? `<div class="modal-parallels">
+         <h4>Parallel Versions</h4>
+         <ul>${parallels.map(p => `
+           <li>
+             <button class="parallel-link" data-id="${p.id}">${escapeHtml(p.myth.title)}</button>
+             <span class="parallel-source">${escapeHtml(getSourceLabel(p.myth.sourceWork, true))}</span>
+             <span class="parallel-score" title="Similarity score">${Math.round(p.score * 100)}%</span>
+           </li>`).join('')}
+         </ul>
+       </div>`
+    : '';
+
+  // Only notes whose text the sources include are listed; the others keep
+  // their markers in the text
+  const notes = myth.notes || [];
+  const notesList = notes.some(note => note.text)
+    ? `<div class="modal-notes">
+         <h4>Notes</h4>
+         <ol>${notes.map((note, index) => note.text ? `
+           <li id="note-${index}" value="${note.number}">${escapeHtml(note.text)}</li>` : '').join('')}
+         </ol>
        </div>`
     : '';
 
+  const figureNames = new Map(state.metadata.figures.map(f => [f.id, f.name]));
+  const figureTags = (myth.figures || []).map(id =>
+    `<button class="modal-figure-tag" data-figure="${id}">${escapeHtml(figureNames.get(id) || id)}</button>`
+  ).join('');
+
+  const annotations = getAnnotations(myth);
+  const contentMatches = getSearchMatches(myth.content);
+  const commentaryMatches = getSearchMatches(myth.commentary);
+  const matchCount = contentMatches.length + commentaryMatches.length;
   const commentary = myth.commentary
     ? `<div class="modal-section-label">Commentary</div>
-       <div class="modal-commentary">${escapeHtml(myth.commentary)}</div>`
+       <div class="modal-commentary" data-field="commentary">${renderAnnotatedText(myth.commentary, [], annotations.filter(a => a.field === 'commentary' && a.resolved), commentaryMatches, contentMatches.length)}</div>`
+    : '';
+
+  const matchNavigation = matchCount > 0
+    ? `<div class="modal-matches">
+         <button class="btn-small" id="prevMatch" title="Previous match">&larr;</button>
+         <button class="btn-small" id="nextMatch" title="Next match">&rarr;</button>
+         <span id="matchPosition"></span>
+         ${contentMatches.length === 0 ? '<span class="modal-matches-note">Matched in commentary only</span>' : ''}
+       </div>`
+    : '';
+
+  const annotationsList = annotations.length > 0
+    ? `<div class="modal-annotations">
+         <div class="modal-annotations-header">
+           <h4>Your Notes</h4>
+           <button class="btn-small" id="exportAnnotations">Export notes</button>
+         </div>
+         <ul>${annotations.map(a => `
+           <li data-annotation="${a.id}" class="${a.resolved ? '' : 'orphaned'}">
+             <blockquote>${escapeHtml(a.quote)}</blockquote>
+             ${a.note ? `<p>${escapeHtml(a.note)}</p>` : ''}
+             ${a.resolved ? '' : '<span class="annotation-orphaned">Passage no longer found in the text</span>'}
+           </li>`).join('')}
+         </ul>
+       </div>`
     : '';
 
   elements.modalContent.innerHTML = `
+    <div class="modal-reader">
+      <button class="btn-small" id="prevMyth" title="Previous (&larr; or k)" disabled>&larr; Previous</button>
+      <span class="modal-reader-position" id="readerPosition"></span>
+      <button class="btn-small" id="nextMyth" title="Next (&rarr; or j)" disabled>Next &rarr;</button>
+      <label class="modal-reader-mode">
+        <input type="checkbox" id="continueReading" ${state.readingMode === 'book' ? 'checked' : ''}>
+        Continue reading in book order
+      </label>
+    </div>
     <div class="modal-header">
-      <h2 class="modal-title">${escapeHtml(myth.title)}</h2>
-      <div class="modal-meta">
-        <span class="modal-source">${sourceLabels[myth.sourceWork] || myth.sourceWork}</span>
-        ${myth.book ? `<span class="modal-book">${escapeHtml(myth.book)}</span>` : ''}
-        ${myth.section ? `<span class="modal-book">${escapeHtml(myth.section)}</span>` : ''}
-      </div>
+      <h2 class="modal-title">${escapeHtml(myth.title)} ${bookmarkButton(myth.id)}</h2>
+      <button class="btn-small modal-cite" id="citeMyth">Cite</button>
+      <nav class="modal-meta" aria-label="Location in the book">
+        <button class="modal-source modal-crumb" data-crumb="source" title="Show all of this source">${escapeHtml(getSourceLabel(myth.sourceWork, true))}</button>
+        ${myth.book ? `<button class="modal-book modal-crumb" data-crumb="book" title="Show all of this book">${escapeHtml(myth.book)}</button>` : ''}
+        ${myth.section ? `<button class="modal-book modal-crumb" data-crumb="section" title="Show all of this section">${escapeHtml(myth.section)}</button>` : ''}
+      </nav>
     </div>
+    ${matchNavigation}
     <div class="modal-section-label">Content</div>
-    <div class="modal-text">${escapeHtml(myth.content)}</div>
+    <div class="modal-text" data-field="content">${renderAnnotatedText(myth.content, notes, annotations.filter(a => a.field === 'content' && a.resolved), contentMatches)}</div>
     ${commentary}
+    ${annotationsList}
+    ${parallelsList}
     ${myth.themes.length > 0 ? `
       <div class="modal-section-label">Themes</div>
       <div class="modal-themes">${themeTags}</div>
     ` : ''}
+    ${figureTags ? `
+      <div class="modal-section-label">Figures</div>
+      <div class="modal-themes">${figureTags}</div>
+    ` : ''}
     ${sourcesList}
     ${referencesList}
+    ${rabbinicList}
+    ${studiesList}
+    ${notesList}
   `;
 
-  elements.modalOverlay.classList.remove('hidden');
-  document.body.style.overflow = 'hidden';
+  elements.modalContent.querySelectorAll('.parallel-link').forEach(link => {
+    link.addEventListener('click', () => {
+      const parallel = state.mythsById.get(link.dataset.id);
+      if (parallel) {
+        openModal(parallel);
+        elements.modalContent.scrollTop = 0;
+      }
+    });
+  });
+
+  elements.modalContent.querySelector('.bookmark-btn').addEventListener('click', (e) => {
+    openCollectionMenu(myth.id, e.currentTarget);
+  });
+
+  elements.modalContent.querySelectorAll('[data-field]').forEach(block => {
+    block.addEventListener('mouseup', () => setTimeout(() => showHighlightAction(myth, block), 0));
+  });
+
+  elements.modalContent.querySelectorAll('[data-annotation]').forEach(el => {
+    el.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showAnnotationActions(myth, el.dataset.annotation, el);
+    });
+  });
+
+  elements.modalContent.querySelector('#citeMyth').addEventListener('click', () => openCitations([myth]));
+
+  elements.modalContent.querySelector('#prevMyth').addEventListener('click', () => stepReader(-1));
+  elements.modalContent.querySelector('#nextMyth').addEventListener('click', () => stepReader(1));
+  elements.modalContent.querySelector('#continueReading').addEventListener('change', (e) => {
+    state.readingMode = e.target.checked ? 'book' : 'results';
+    updateReader(myth);
+  });
+  updateReader(myth);
+
+  elements.modalContent.querySelectorAll('.modal-crumb').forEach(crumb => {
+    crumb.addEventListener('click', () => {
+      const level = crumb.dataset.crumb;
+      jumpToFilter({
+        source: myth.sourceWork,
+        book: level === 'source' ? 'all' : myth.book,
+        section: level === 'section' ? myth.section : ''
+      });
+    });
+  });
+
+  if (matchCount > 0) {
+    elements.modalContent.querySelector('#prevMatch').addEventListener('click', () => showMatch(state.currentMatch - 1));
+    elements.modalContent.querySelector('#nextMatch').addEventListener('click', () => showMatch(state.currentMatch + 1));
+    showMatch(0, false);
+  }
+
+  const exportButton = elements.modalContent.querySelector('#exportAnnotations');
+  if (exportButton) exportButton.addEventListener('click', () => exportAnnotations(myth));
+
+  elements.modalContent.querySelectorAll('.modal-figure-tag').forEach(tag => {
+    tag.addEventListener('click', () => showFigure(tag.dataset.figure));
+  });
+
+  elements.modalContent.querySelectorAll('.footnote-ref').forEach(ref => {
+    ref.addEventListener('click', (e) => {
+      e.preventDefault();
+      const note = document.getElementById(`note-${ref.dataset.note}`);
+      if (note) {
+        note.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        note.classList.add('active');
+        setTimeout(() => note.classList.remove('active'), 1500);
+      }
+    });
+  });
+
+}
+
+// "Genesis 6:1-4", "Genesis 6:2" or "Genesis 6"
+function formatReference(ref) {
+  let label = `${ref.book} ${ref.chapter}`;
+  if (ref.verseStart !== null) {
+    label += `:${ref.verseStart}`;
+    if (ref.verseEnd !== ref.verseStart) label += `-${ref.verseEnd}`;
+  }
+  return label;
+}
+
+// "B. Hagigah 12a", "Genesis Rabbah 8:1"
+function formatRabbinicReference(ref) {
+  const prefixes = { 'Babylonian Talmud': 'B. ', 'Jerusalem Talmud': 'Y. ', 'Mishnah': 'M. ' };
+  return `${prefixes[ref.corpus] || ''}${ref.work} ${ref.location}`;
+}
+
+// Render text with superscript links at each footnote's offset (plain
+// markers for notes without text), <mark>s
+// around the reader's highlights and, inside those, around search matches.
+// Matches are numbered from firstMatch for next/previous navigation
+function renderAnnotatedText(text, notes = [], highlights = [], matches = [], firstMatch = 0) {
+  const boundaries = new Set([0, text.length]);
+  notes.forEach(note => boundaries.add(note.offset));
+  highlights.forEach(h => {
+    boundaries.add(h.start);
+    boundaries.add(h.end);
+  });
+  matches.forEach(([start, end]) => {
+    boundaries.add(start);
+    boundaries.add(end);
+  });
+  const points = [...boundaries].sort((a, b) => a - b);
+
+  let html = '';
+  points.forEach((point, i) => {
+    notes.forEach((note, index) => {
+      if (note.offset === point) {
+        html += note.text
+          ? `<sup><a href="#note-${index}" class="footnote-ref" data-note="${index}" title="${escapeHtml(note.text)}">${note.number}</a></sup>`
+          : `<sup><a class="footnote-ref footnote-missing" title="Note text not included in this edition">${note.number}</a></sup>`;
+      }
+    });
+
+    const next = points[i + 1];
+    if (next === undefined) return;
+    let segment = escapeHtml(text.slice(point, next));
+    const match = matches.findIndex(([start, end]) => start <= point && end >= next);
+    if (match !== -1) segment = `<mark class="search-match" data-match="${firstMatch + match}">${segment}</mark>`;
+    const highlight = highlights.find(h => h.start <= point && h.end >= next);
+    html += highlight
+      ? `<mark class="annotation" data-annotation="${highlight.id}">${segment}</mark>`
+      : segment;
+  });
+  return html;
+}
+
+// Escaped text with <mark>s around the given [start, end] ranges
+function renderHighlightedText(text, ranges) {
+  let html = '';
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    html += `${escapeHtml(text.slice(position, start))}<mark class="search-match">${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  });
+  return html + escapeHtml(text.slice(position));
+}
+
+// Where the current search matches text, as [start, end] ranges
+function getSearchMatches(text) {
+  if (!state.searchQuery) return [];
+  const { terms, phrases } = state.searchHighlight;
+  return TextSearch.findMatches(text || '', terms, phrases);
+}
+
+// Mark match number index in the open modal as current, wrapping around,
+// and scroll it into view
+function showMatch(index, scroll = true) {
+  const marks = [...elements.modalContent.querySelectorAll('mark.search-match')];
+  const count = new Set(marks.map(mark => mark.dataset.match)).size;
+  if (count === 0) return;
+  state.currentMatch = (index + count) % count;
+
+  marks.forEach(mark => mark.classList.toggle('current', Number(mark.dataset.match) === state.currentMatch));
+  elements.modalContent.querySelector('#matchPosition').textContent = `Match ${state.currentMatch + 1} of ${count}`;
+  if (scroll) {
+    elements.modalContent.querySelector('mark.search-match.current').scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+}
+
+// Reader navigation
+// In results mode the worker says where the open myth falls in the current
+// results; in book order the neighbours are those of the catalog, which
+// lists every source's myths as they are printed, and reading stops at the
+// first and last myth of the source
+function updateReader(myth) {
+  state.readerPosition = null;
+  setReaderControls();
+
+  if (state.readingMode === 'results') {
+    searchWorker.postMessage({ type: 'locate', id: state.queryId, mythId: myth.id, ...getSearchRequest() });
+    return;
+  }
+
+  const sourceMyths = state.myths.filter(m => m.sourceWork === myth.sourceWork);
+  const index = sourceMyths.indexOf(myth);
+  setReaderPosition({
+    previous: index > 0 ? sourceMyths[index - 1].id : null,
+    next: index < sourceMyths.length - 1 ? sourceMyths[index + 1].id : null,
+    label: `${index + 1} of ${sourceMyths.length} in ${getSourceLabel(myth.sourceWork)}`
+  });
+}
+
+function setReaderPosition(position) {
+  state.readerPosition = position;
+  setReaderControls();
+}
+
+function setReaderControls() {
+  const position = state.readerPosition;
+  const label = elements.modalContent.querySelector('#readerPosition');
+  if (!label) return;
+  label.textContent = position ? position.label : '';
+  elements.modalContent.querySelector('#prevMyth').disabled = !(position && position.previous);
+  elements.modalContent.querySelector('#nextMyth').disabled = !(position && position.next);
+}
+
+// Open the myth before (-1) or after (1) the open one
+function stepReader(offset) {
+  const position = state.readerPosition;
+  if (!position) return;
+  const myth = state.mythsById.get(offset < 0 ? position.previous : position.next);
+  if (!myth) return;
+  openModal(myth);
+  elements.modalContent.scrollTop = 0;
+}
+
+// Leave the modal for the results of a source, book or section
+function jumpToFilter(location) {
+  // Leaving the modal and showing the results is a single history step
+  state.currentMythId = null;
+  closeModal();
+  resetFilters();
+  setLocationFilter(location);
+  state.browseMode = 'results';
+  updateBrowseTabsUI();
+  applyFilters();
+  scrollToTop();
+}
+
+// Narrow the results to a source, book ('all' for every book) and section
+// ('' for every section), leaving the other filters as they are
+function setLocationFilter({ source, book, section }) {
+  state.selectedSource = source;
+  state.selectedBook = book;
+  state.selectedSection = section;
+  state.currentPage = 1;
+  elements.bookFilter.value = book;
+  updateSourceFilterUI();
+  updateSectionFilterUI();
 }
 
 // Close modal
 function closeModal() {
   elements.modalOverlay.classList.add('hidden');
   document.body.style.overflow = '';
+  if (state.currentMythId) {
+    state.currentMythId = null;
+    updateUrl();
+  }
+}
+
+// Collections
+// A malformed entry is skipped rather than losing every collection, since the
+// next save would overwrite them all
+function loadCollections() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(COLLECTIONS_STORAGE_KEY));
+    if (!Array.isArray(stored)) return [];
+    return stored
+      .filter(collection => collection && typeof collection.id === 'string' &&
+        typeof collection.name === 'string' && Array.isArray(collection.mythIds))
+      .map(collection => ({
+        ...collection,
+        mythIds: [...new Set(collection.mythIds.filter(id => typeof id === 'string').map(resolveMythId))]
+      }));
+  } catch (error) {
+    console.error('Failed to read saved collections:', error);
+    return [];
+  }
+}
+
+function saveCollections() {
+  writeStorage(COLLECTIONS_STORAGE_KEY, state.collections);
+}
+
+// Browsers refuse writes once their storage quota is used up; the change
+// stays in memory for this visit
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.error(`Failed to save ${key}:`, error);
+    if (error.name === 'QuotaExceededError') {
+      alert('Your browser\'s storage is full, so this change will be lost when you leave the page. Export your collections to keep them.');
+    }
+    return false;
+  }
+}
+
+function getCollection(id) {
+  return state.collections.find(c => c.id === id) || null;
+}
+
+function createCollection(name) {
+  const collection = {
+    id: `collection-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name,
+    mythIds: []
+  };
+  state.collections.push(collection);
+  saveCollections();
+  return collection;
+}
+
+function promptNewCollection() {
+  const name = (prompt('Name for the new collection') || '').trim();
+  return name ? createCollection(name) : null;
+}
+
+function toggleInCollection(collectionId, mythId) {
+  const collection = getCollection(collectionId);
+  if (!collection) return;
+  if (collection.mythIds.includes(mythId)) {
+    collection.mythIds = collection.mythIds.filter(id => id !== mythId);
+  } else {
+    collection.mythIds.push(mythId);
+  }
+  saveCollections();
+}
+
+// Swap a myth with the one stored before or after it, so members move
+// across page boundaries too
+function moveInCollection(collectionId, mythId, offset) {
+  const collection = getCollection(collectionId);
+  if (!collection) return;
+  const from = collection.mythIds.indexOf(mythId);
+  if (from === -1) return;
+  // Ids no longer in the catalog are stepped over
+  let to = from + offset;
+  while (to >= 0 && to < collection.mythIds.length && !state.mythsById.has(collection.mythIds[to])) to += offset;
+  if (to < 0 || to >= collection.mythIds.length) return;
+  [collection.mythIds[from], collection.mythIds[to]] = [collection.mythIds[to], collection.mythIds[from]];
+  saveCollections();
+}
+
+function exportCollections() {
+  const data = {
+    exported: new Date().toISOString(),
+    collections: state.collections
+  };
+  downloadFile('midrashim-collections.json', JSON.stringify(data, null, 2), 'application/json');
+}
+
+// Merge collections from an exported file; ones with a matching name are combined
+function importCollections(text) {
+  const data = JSON.parse(text);
+  const imported = Array.isArray(data) ? data : data.collections;
+  if (!Array.isArray(imported)) throw new Error('No collections found');
+
+  let count = 0;
+  imported.forEach(entry => {
+    if (!entry || typeof entry.name !== 'string' || !Array.isArray(entry.mythIds)) return;
+    const existing = state.collections.find(c => c.name === entry.name);
+    const target = existing || createCollection(entry.name);
+    entry.mythIds.forEach(id => {
+      if (typeof id !== 'string') return;
+      id = resolveMythId(id);
+      if (!target.mythIds.includes(id)) target.mythIds.push(id);
+    });
+    count++;
+  });
+
+  saveCollections();
+  return count;
+}
+
+function populateCollectionFilter() {
+  elements.collectionFilter.innerHTML = `
+    <option value="all">All entries</option>
+    ${state.collections.map(c =>
+      `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)} (${c.mythIds.length})</option>`
+    ).join('')}
+  `;
+  elements.collectionFilter.value = state.selectedCollection;
+  elements.deleteCollection.disabled = !getCollection(state.selectedCollection);
+}
+
+function isInAnyCollection(mythId) {
+  return state.collections.some(c => c.mythIds.includes(mythId));
+}
+
+function bookmarkButton(mythId) {
+  const saved = isInAnyCollection(mythId);
+  return `<button class="bookmark-btn ${saved ? 'saved' : ''}" data-id="${mythId}" title="Save to collection">${saved ? '&#x2605;' : '&#x2606;'}</button>`;
+}
+
+function openCollectionMenu(mythId, anchor) {
+  renderCollectionMenu(mythId);
+  const rect = anchor.getBoundingClientRect();
+  elements.collectionMenu.style.top = `${rect.bottom + 4}px`;
+  elements.collectionMenu.style.left = `${Math.max(8, rect.right - 240)}px`;
+  elements.collectionMenu.classList.remove('hidden');
+}
+
+function renderCollectionMenu(mythId) {
+  elements.collectionMenu.dataset.id = mythId;
+  elements.collectionMenu.innerHTML = `
+    <div class="collection-menu-title">Save to collection</div>
+    ${state.collections.map(c => `
+      <label class="collection-menu-option" data-collection="${escapeHtml(c.id)}">
+        <input type="checkbox" ${c.mythIds.includes(mythId) ? 'checked' : ''} tabindex="-1">
+        <span>${escapeHtml(c.name)}</span>
+      </label>`).join('')}
+    <button class="collection-menu-new">+ New collection&hellip;</button>
+  `;
+}
+
+// Update bookmark stars and collection counts after a change
+function refreshBookmarks() {
+  document.querySelectorAll('.bookmark-btn').forEach(btn => {
+    const saved = isInAnyCollection(btn.dataset.id);
+    btn.classList.toggle('saved', saved);
+    btn.innerHTML = saved ? '&#x2605;' : '&#x2606;';
+  });
+  populateCollectionFilter();
+  if (getCollection(state.selectedCollection)) applyFilters();
+}
+
+// Annotations
+// Highlights are anchored by character offsets into a myth's content or
+// commentary, with the quoted text kept so they can be found again if the
+// text shifts when the data is regenerated
+function loadAnnotations() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ANNOTATIONS_STORAGE_KEY));
+    if (!stored || typeof stored !== 'object') return {};
+
+    // Annotations saved under an old id move to the current one
+    const annotations = {};
+    Object.entries(stored).forEach(([mythId, entries]) => {
+      const id = resolveMythId(mythId);
+      annotations[id] = [...(annotations[id] || []), ...entries];
+    });
+    return annotations;
+  } catch (error) {
+    console.error('Failed to read saved annotations:', error);
+    return {};
+  }
+}
+
+function saveAnnotations() {
+  writeStorage(ANNOTATIONS_STORAGE_KEY, state.annotations);
+  searchWorker.postMessage({ type: 'annotations', annotations: state.annotations });
+}
+
+// A myth's annotations with current offsets, flagged resolved when the
+// quoted passage could still be found in the text
+function getAnnotations(myth) {
+  return (state.annotations[myth.id] || []).map(annotation => {
+    const text = myth[annotation.field] || '';
+    if (text.slice(annotation.start, annotation.end) === annotation.quote) {
+      return { ...annotation, resolved: true };
+    }
+
+    // Use the occurrence of the quote closest to where it used to be
+    let best = -1;
+    let index = text.indexOf(annotation.quote);
+    while (index !== -1) {
+      if (best === -1 || Math.abs(index - annotation.start) < Math.abs(best - annotation.start)) best = index;
+      index = text.indexOf(annotation.quote, index + 1);
+    }
+    return best === -1
+      ? { ...annotation, resolved: false }
+      : { ...annotation, start: best, end: best + annotation.quote.length, resolved: true };
+  });
+}
+
+// Character offset of (node, offset) within block, not counting footnote markers
+function getTextOffset(block, node, offset) {
+  const range = document.createRange();
+  range.selectNodeContents(block);
+  range.setEnd(node, offset);
+  const fragment = range.cloneContents();
+  fragment.querySelectorAll('sup').forEach(sup => sup.remove());
+  return fragment.textContent.length;
+}
+
+function showHighlightAction(myth, block) {
+  const selection = window.getSelection();
+  if (!selection.rangeCount || selection.isCollapsed) return;
+  const range = selection.getRangeAt(0);
+  if (!block.contains(range.startContainer) || !block.contains(range.endContainer)) return;
+
+  const field = block.dataset.field;
+  const start = getTextOffset(block, range.startContainer, range.startOffset);
+  const end = getTextOffset(block, range.endContainer, range.endOffset);
+  const quote = myth[field].slice(start, end);
+  if (!quote.trim()) return;
+
+  elements.annotationToolbar.innerHTML = `<button class="btn-small" data-action="highlight">Highlight &amp; note</button>`;
+  positionAnnotationToolbar(range.getBoundingClientRect());
+  elements.annotationToolbar.querySelector('button').addEventListener('click', () => {
+    const note = prompt('Note for this highlight (optional)');
+    if (note === null) return;
+    addAnnotation(myth, { field, start, end, quote, note: note.trim() });
+    selection.removeAllRanges();
+  });
+}
+
+function showAnnotationActions(myth, annotationId, anchor) {
+  const annotation = (state.annotations[myth.id] || []).find(a => a.id === annotationId);
+  if (!annotation) return;
+
+  elements.annotationToolbar.innerHTML = `
+    ${annotation.note ? `<p class="annotation-note">${escapeHtml(annotation.note)}</p>` : ''}
+    <button class="btn-small" data-action="edit">Edit note</button>
+    <button class="btn-small" data-action="delete">Delete</button>
+  `;
+  positionAnnotationToolbar(anchor.getBoundingClientRect());
+
+  elements.annotationToolbar.querySelector('[data-action="edit"]').addEventListener('click', () => {
+    const note = prompt('Note for this highlight', annotation.note);
+    if (note === null) return;
+    annotation.note = note.trim();
+    saveAnnotations();
+    refreshModal(myth);
+  });
+  elements.annotationToolbar.querySelector('[data-action="delete"]').addEventListener('click', () => {
+    state.annotations[myth.id] = state.annotations[myth.id].filter(a => a.id !== annotationId);
+    if (state.annotations[myth.id].length === 0) delete state.annotations[myth.id];
+    saveAnnotations();
+    refreshModal(myth);
+  });
+}
+
+function positionAnnotationToolbar(rect) {
+  elements.annotationToolbar.style.top = `${rect.bottom + 6}px`;
+  elements.annotationToolbar.style.left = `${Math.max(8, rect.left)}px`;
+  elements.annotationToolbar.classList.remove('hidden');
+}
+
+function addAnnotation(myth, annotation) {
+  if (!state.annotations[myth.id]) state.annotations[myth.id] = [];
+  state.annotations[myth.id].push({
+    id: `annotation-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    ...annotation,
+    created: new Date().toISOString()
+  });
+  state.annotations[myth.id].sort((a, b) => a.field.localeCompare(b.field) || a.start - b.start);
+  saveAnnotations();
+  refreshModal(myth);
+}
+
+// Re-render the open modal in place after an annotation changes
+function refreshModal(myth) {
+  const scrollTop = elements.modalContent.scrollTop;
+  elements.annotationToolbar.classList.add('hidden');
+  openModal(myth);
+  elements.modalContent.scrollTop = scrollTop;
+}
+
+// Download a myth's highlights and notes as Markdown
+function exportAnnotations(myth) {
+  const lines = [`# ${myth.title}`, ''];
+  getAnnotations(myth).forEach(a => {
+    lines.push(`> ${a.quote}`, '');
+    if (a.note) lines.push(a.note, '');
+    lines.push(`*${a.field === 'commentary' ? 'Commentary' : 'Content'}, characters ${a.start}-${a.end}${a.resolved ? '' : ' (passage no longer found)'}*`, '');
+  });
+
+  downloadFile(`${myth.id}-notes.md`, lines.join('\n'), 'text/markdown');
+}
+
+// Citations
+// Publication details come from each source's citation entry in the metadata
+const CITATION_EXCERPT_LENGTH = 300;
+
+const CITATION_FORMATS = {
+  markdown: { extension: 'md', type: 'text/markdown', format: formatMarkdownCitations },
+  bibtex: { extension: 'bib', type: 'application/x-bibtex', format: formatBibtexCitations },
+  csl: { extension: 'json', type: 'application/vnd.citationstyles.csl+json', format: formatCslCitations }
+};
+
+// Everything a citation needs from a myth, independent of output format
+function getCitationData(myth) {
+  const details = getSource(myth.sourceWork).citation;
+
+  // Numbered myths are located by number, book and section; unnumbered
+  // sections by their chapter and title
+  const locator = myth.number
+    ? [`myth #${myth.number}`, myth.book, myth.section].filter(Boolean).join(', ')
+    : [myth.book ? `chapter ${myth.book}` : null, `section "${myth.title}"`].filter(Boolean).join(', ');
+
+  let excerpt = myth.content;
+  if (excerpt.length > CITATION_EXCERPT_LENGTH) {
+    excerpt = excerpt.slice(0, CITATION_EXCERPT_LENGTH).replace(/\s+\S*$/, '') + '...';
+  }
+
+  return {
+    id: myth.id,
+    title: myth.title,
+    author: details.author,
+    translator: details.translator || null,
+    container: details.title,
+    publisher: details.publisher,
+    place: details.place,
+    year: details.year,
+    volume: details.volume || null,
+    number: myth.number || null,
+    locator,
+    excerpt,
+    references: myth.biblicalReferences.map(formatReference)
+  };
+}
+
+function formatMarkdownCitations(citations, options) {
+  return citations.map(c => {
+    const parts = [
+      `${c.author.family}, ${c.author.given}. "${c.title}." In *${c.container}*`,
+      c.translator ? `, translated by ${c.translator.given} ${c.translator.family}` : '',
+      c.volume ? `, vol. ${c.volume}` : '',
+      `. ${c.place}: ${c.publisher}, ${c.year}. ${c.locator.charAt(0).toUpperCase()}${c.locator.slice(1)}.`
+    ];
+    const lines = [`- ${parts.join('')}`];
+    if (options.excerpt) lines.push('', `  > ${c.excerpt}`);
+    if (options.references && c.references.length > 0) {
+      lines.push('', `  Biblical references: ${c.references.join('; ')}`);
+    }
+    return lines.join('\n');
+  }).join('\n\n') + '\n';
+}
+
+// LaTeX special characters; the three without a plain backslash escape are
+// spelled out as commands
+const BIBTEX_ESCAPES = { '\\': '\\textbackslash{}', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}' };
+
+function formatBibtexCitations(citations, options) {
+  const escape = value => String(value).replace(/[\\~^{}&%$#_]/g, char => BIBTEX_ESCAPES[char] || `\\${char}`);
+  return citations.map(c => {
+    const fields = [
+      ['author', `${c.author.family}, ${c.author.given}`],
+      ['title', c.title],
+      ['booktitle', c.container],
+      c.translator && ['translator', `${c.translator.family}, ${c.translator.given}`],
+      c.volume && ['volume', c.volume],
+      ['publisher', c.publisher],
+      ['address', c.place],
+      ['year', c.year],
+      ['note', c.locator],
+      options.excerpt && ['abstract', c.excerpt],
+      options.references && c.references.length > 0 && ['keywords', c.references.join('; ')]
+    ].filter(Boolean);
+    const body = fields.map(([name, value]) => `  ${name} = {${escape(value)}}`).join(',\n');
+    return `@incollection{${c.id.replace(/[^a-z0-9-]/gi, '')},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+function formatCslCitations(citations, options) {
+  const items = citations.map(c => {
+    const item = {
+      id: c.id,
+      type: 'chapter',
+      title: c.title,
+      'container-title': c.container,
+      author: [c.author],
+      publisher: c.publisher,
+      'publisher-place': c.place,
+      issued: { 'date-parts': [[c.year]] },
+      // The locator belongs to a cite rather than the item, so where the
+      // myth sits in the book goes in section
+      section: c.locator
+    };
+    if (c.translator) item.translator = [c.translator];
+    if (c.volume) item.volume = String(c.volume);
+    if (c.number) item.number = String(c.number);
+    if (options.excerpt) item.abstract = c.excerpt;
+    if (options.references && c.references.length > 0) item.note = `Biblical references: ${c.references.join('; ')}`;
+    return item;
+  });
+  return JSON.stringify(items, null, 2) + '\n';
+}
+
+function openCitations(myths) {
+  if (myths.length === 0) return;
+  state.citationMyths = myths;
+  elements.citationOutput.value = 'Loading...';
+  elements.citationOverlay.classList.remove('hidden');
+  // Excerpts come from the full text
+  loadMythText(myths)
+    .then(() => {
+      if (state.citationMyths === myths) renderCitations();
+    })
+    .catch(error => {
+      console.error('Failed to load text:', error);
+      elements.citationOutput.value = 'The text of these myths could not be loaded.';
+    });
+}
+
+function closeCitations() {
+  elements.citationOverlay.classList.add('hidden');
+}
+
+function renderCitations() {
+  const options = {
+    excerpt: elements.citationExcerpt.checked,
+    references: elements.citationReferences.checked
+  };
+  const format = CITATION_FORMATS[elements.citationFormat.value];
+  elements.citationOutput.value = format.format(state.citationMyths.map(getCitationData), options);
+}
+
+function toggleMythSelection(mythId, selected) {
+  if (selected) {
+    state.selectedMyths.add(mythId);
+  } else {
+    state.selectedMyths.delete(mythId);
+  }
+  updateSelectionUI();
+}
+
+function updateSelectionUI() {
+  const count = state.selectedMyths.size;
+  elements.selectionActions.classList.toggle('hidden', count === 0);
+  elements.selectionCount.textContent = `${count} selected`;
+}
+
+// Sources
+// A source's manifest entry from the metadata
+function getSource(id) {
+  return state.metadata.sources.find(source => source.id === id) || { id, label: id, fullLabel: id, citation: {} };
+}
+
+// Short label for cards and chips, or the full one naming the author
+function getSourceLabel(id, full = false) {
+  const source = getSource(id);
+  return full ? source.fullLabel : source.label;
+}
+
+// Text shards
+// A myth's content, commentary, sources, studies and notes live in its
+// shard, which is fetched once and merged into every myth it holds
+function hasMythText(myth) {
+  return typeof myth.content === 'string';
+}
+
+function loadMythText(myths) {
+  const shards = [...new Set(myths.filter(myth => !hasMythText(myth)).map(myth => myth.shard))];
+  return Promise.all(shards.map(loadTextShard));
+}
+
+// Data files are asked for by the build of the catalog loaded, so that the
+// service worker answers from that build after it has cached a newer one
+function getDataUrl(file) {
+  const build = `${state.metadata.version}-${state.metadata.generated}`;
+  return `data/${file}?build=${encodeURIComponent(build)}`;
+}
+
+function loadTextShard(name) {
+  if (!state.textShards.has(name)) {
+    const request = fetch(getDataUrl(`text/${name}.json`))
+      .then(response => {
+        if (!response.ok) throw new Error(`Failed to load text shard ${name}`);
+        return response.json();
+      })
+      .then(shard => {
+        Object.entries(shard.myths).forEach(([id, text]) => {
+          const myth = state.mythsById.get(id);
+          if (myth) Object.assign(myth, text);
+        });
+      })
+      .catch(error => {
+        // Let a later attempt try again
+        state.textShards.delete(name);
+        throw error;
+      });
+    state.textShards.set(name, request);
+  }
+  return state.textShards.get(name);
+}
+
+// Themes
+// The taxonomy from the metadata, flattened with links to parent and children
+function indexThemes(tree, parent = null) {
+  tree.forEach(theme => {
+    const children = theme.children || [];
+    state.themesById.set(theme.id, { id: theme.id, label: theme.label, parent, children: children.map(child => child.id) });
+    indexThemes(children, theme.id);
+  });
+}
+
+function getThemeLabel(id) {
+  const theme = state.themesById.get(id);
+  return theme ? theme.label : id.charAt(0).toUpperCase() + id.slice(1).replace(/-/g, ' ');
+}
+
+// A theme followed by its parent, grandparent and so on
+function getThemeLineage(id) {
+  const lineage = [];
+  for (let theme = id; theme; theme = state.themesById.get(theme)?.parent) {
+    lineage.push(theme);
+  }
+  return lineage;
+}
+
+// The given themes with all their sub-themes
+function expandThemes(ids) {
+  const expanded = new Set();
+  const add = id => {
+    if (expanded.has(id)) return;
+    expanded.add(id);
+    (state.themesById.get(id)?.children || []).forEach(add);
+  };
+  ids.forEach(add);
+  return [...expanded];
+}
+
+// The taxonomy pruned to themes some myth is tagged with, or to which a
+// tagged sub-theme belongs. Data without a taxonomy gives a flat list
+function getThemeTree() {
+  const used = new Set(state.metadata.filterOptions.themes);
+  if (!state.metadata.themes) return [...used].map(id => ({ id, label: getThemeLabel(id) }));
+  const prune = themes => themes
+    .map(theme => ({ ...theme, children: prune(theme.children || []) }))
+    .filter(theme => used.has(theme.id) || theme.children.length > 0);
+  return prune(state.metadata.themes);
+}
+
+function renderThemeTree(themes) {
+  return `
+    <ul class="theme-tree">
+      ${themes.map(theme => {
+        const hasChildren = theme.children && theme.children.length > 0;
+        return `
+          <li class="theme-node" data-theme-node="${theme.id}">
+            <div class="theme-node-row">
+              ${hasChildren
+                ? `<button class="theme-toggle" aria-expanded="false" aria-label="Show sub-themes of ${escapeHtml(theme.label)}">▸</button>`
+                : '<span class="theme-toggle-spacer"></span>'}
+              <button class="chip" data-theme="${theme.id}">${escapeHtml(theme.label)}</button>
+            </div>
+            ${hasChildren ? renderThemeTree(theme.children) : ''}
+          </li>
+        `;
+      }).join('')}
+    </ul>
+  `;
+}
+
+// A myth's confidence for a theme, from 0 to 1
+function getThemeScore(myth, theme) {
+  return (myth.themeScores || {})[theme] || 0;
 }
 
 // Update UI helpers
@@ -452,15 +2003,29 @@ function updateSourceFilterUI() {
   });
 }
 
+// Sub-themes of a selected theme are marked as included, and the branches
+// leading to selected sub-themes are opened
 function updateThemeFilterUI() {
+  const included = expandThemes(state.selectedThemes);
   elements.themeFilters.querySelectorAll('.chip').forEach(chip => {
     const theme = chip.dataset.theme;
     if (theme === 'all') {
       chip.classList.toggle('active', state.selectedThemes.length === 0);
     } else {
       chip.classList.toggle('active', state.selectedThemes.includes(theme));
+      chip.classList.toggle('included', !state.selectedThemes.includes(theme) && included.includes(theme));
     }
   });
+  state.selectedThemes.forEach(theme => {
+    getThemeLineage(theme).slice(1).forEach(ancestor => {
+      const node = elements.themeFilters.querySelector(`[data-theme-node="${ancestor}"]`);
+      if (!node) return;
+      node.classList.add('expanded');
+      node.querySelector('.theme-toggle').setAttribute('aria-expanded', true);
+    });
+  });
+  elements.themeConfidence.value = state.minThemeConfidence;
+  elements.themeConfidenceValue.textContent = `${state.minThemeConfidence}%`;
 }
 
 function updateSortUI() {
@@ -469,40 +2034,226 @@ function updateSortUI() {
   });
 }
 
+// The sections of the selected book, offered once a book with sections is chosen
+function updateSectionFilterUI() {
+  const sections = state.selectedBook === 'all' ? [] : [...new Set(state.myths
+    .filter(myth => myth.book === state.selectedBook && myth.section)
+    .map(myth => myth.section))];
+  elements.sectionFilter.innerHTML = `
+    <option value="">All Sections</option>
+    ${sections.map(section => `<option value="${escapeHtml(section)}">${escapeHtml(section)}</option>`).join('')}
+  `;
+  elements.sectionFilter.value = state.selectedSection;
+  elements.sectionFilter.classList.toggle('hidden', sections.length === 0);
+}
+
+function setBrowseMode(mode) {
+  state.browseMode = mode;
+  updateBrowseTabsUI();
+  applyFilters();
+}
+
+function updateBrowseTabsUI() {
+  elements.browseTabs.querySelectorAll('.browse-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.browse === state.browseMode);
+  });
+}
+
+function setPassageFilter(passage) {
+  state.selectedPassage = passage;
+  state.currentPage = 1;
+  applyFilters();
+}
+
 function setViewMode(mode) {
   state.viewMode = mode;
   elements.resultsGrid.classList.toggle('cards-view', mode === 'cards');
   elements.resultsGrid.classList.toggle('list-view', mode === 'list');
   elements.viewCards.classList.toggle('active', mode === 'cards');
   elements.viewList.classList.toggle('active', mode === 'list');
+  updateUrl();
 }
 
 function clearAllFilters() {
+  resetFilters();
+  applyFilters();
+}
+
+// Put every filter, the search and the sort back to their defaults
+function resetFilters() {
   state.searchQuery = '';
+  state.searchScope = 'all';
   state.selectedSource = 'all';
   state.selectedThemes = [];
+  state.minThemeConfidence = 30;
   state.selectedBook = 'all';
+  state.selectedSection = '';
+  state.selectedPassage = '';
+  state.selectedCollection = 'all';
   state.sortBy = 'relevance';
   state.currentPage = 1;
 
   elements.searchInput.value = '';
+  elements.searchScope.value = 'all';
   elements.bookFilter.value = 'all';
+  elements.passageFilter.value = '';
+  elements.collectionFilter.value = 'all';
   updateSourceFilterUI();
   updateThemeFilterUI();
+  updateSectionFilterUI();
   updateSortUI();
+}
+
+// URL state
+// Everything needed to reproduce the current view lives in the query string,
+// so results and individual myths can be linked to and history works
+const URL_DEFAULTS = {
+  q: '',
+  scope: 'all',
+  source: 'all',
+  themes: '',
+  confidence: '30',
+  book: 'all',
+  section: '',
+  passage: '',
+  sort: 'relevance',
+  view: 'cards',
+  browse: 'results',
+  figure: '',
+  collection: 'all',
+  page: '1',
+  myth: ''
+};
+
+// Keys that change as the user types or pages; these replace the current
+// history entry instead of adding one
+const URL_REPLACE_KEYS = ['q', 'page'];
+
+let isRestoringUrl = false;
+
+function serializeState() {
+  const values = {
+    q: state.searchQuery,
+    scope: state.searchScope,
+    source: state.selectedSource,
+    themes: state.selectedThemes.join(','),
+    confidence: String(state.minThemeConfidence),
+    book: state.selectedBook,
+    section: state.selectedSection,
+    passage: state.selectedPassage,
+    sort: state.sortBy,
+    view: state.viewMode,
+    browse: state.browseMode,
+    figure: state.selectedFigure || '',
+    collection: state.selectedCollection,
+    page: String(state.currentPage),
+    myth: state.currentMythId || ''
+  };
+
+  const params = new URLSearchParams();
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== URL_DEFAULTS[key]) params.set(key, value);
+  });
+  return params;
+}
+
+function updateUrl() {
+  if (isRestoringUrl) return;
+
+  const params = serializeState();
+  const current = new URLSearchParams(window.location.search);
+  if (params.toString() === current.toString()) return;
+
+  const changedKeys = Object.keys(URL_DEFAULTS).filter(key => params.get(key) !== current.get(key));
+  const replace = changedKeys.every(key => URL_REPLACE_KEYS.includes(key));
+  const query = params.toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+
+  if (replace) {
+    history.replaceState(null, '', url);
+  } else {
+    history.pushState(null, '', url);
+  }
+}
+
+// Read state from the URL and bring the controls, results and modal in line with it
+function restoreStateFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const get = key => params.has(key) ? params.get(key) : URL_DEFAULTS[key];
+
+  isRestoringUrl = true;
+
+  state.searchQuery = get('q').trim();
+  state.searchScope = get('scope');
+  state.selectedSource = get('source');
+  state.selectedThemes = get('themes') ? get('themes').split(',') : [];
+  state.minThemeConfidence = parseInt(get('confidence')) || 30;
+  state.selectedBook = get('book');
+  state.selectedSection = get('section');
+  state.selectedPassage = get('passage');
+  state.sortBy = get('sort');
+  state.browseMode = get('browse');
+  state.selectedFigure = get('figure') || null;
+  state.selectedCollection = getCollection(get('collection')) ? get('collection') : 'all';
+  state.currentPage = Math.max(1, parseInt(get('page')) || 1);
+
+  elements.searchInput.value = state.searchQuery;
+  elements.searchScope.value = state.searchScope;
+  elements.bookFilter.value = state.selectedBook;
+  elements.passageFilter.value = state.selectedPassage;
+  elements.collectionFilter.value = state.selectedCollection;
+  elements.deleteCollection.disabled = !getCollection(state.selectedCollection);
+  updateSourceFilterUI();
+  updateThemeFilterUI();
+  updateSectionFilterUI();
+  updateSortUI();
+  updateBrowseTabsUI();
+  setViewMode(get('view'));
   applyFilters();
+
+  const myth = state.mythsById.get(get('myth'));
+  if (myth) {
+    openModal(myth);
+  } else {
+    closeModal();
+  }
+
+  isRestoringUrl = false;
+
+  // Links using an old id are rewritten to the current one
+  if (myth && myth.id !== get('myth')) {
+    history.replaceState(null, '', `${window.location.pathname}?${serializeState()}`);
+  }
+}
+
+// The current id for a myth id, which may be an alias from an earlier build
+// Unknown ids are returned unchanged so saved data is never discarded
+function resolveMythId(id) {
+  const myth = state.mythsById.get(id);
+  return myth ? myth.id : id;
 }
 
 function scrollToTop() {
   window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
-// Utility: escape HTML
+// Utility: save text as a file download
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// Utility: escape HTML, quotes included so the result is safe in attributes
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
 function escapeHtml(text) {
   if (!text) return '';
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
 // Start application
@@ -1,95 +1,315 @@
 #!/usr/bin/env node
 /**
  * Parser for Jewish Mythology text files
- * Extracts myths from Schwartz's "Tree of Souls" and Ginzberg's "Legends of the Jews"
+ * Extracts myths from the works listed in sources.json, currently Schwartz's
+ * "Tree of Souls" and Ginzberg's "Legends of the Jews"
  * Outputs structured JSON for the web application
  */
 
 const fs = require('fs');
 const path = require('path');
-
-// Biblical book patterns for reference extraction
-const BIBLICAL_BOOKS = [
-  'Genesis', 'Exodus', 'Leviticus', 'Numbers', 'Deuteronomy',
-  'Joshua', 'Judges', 'Ruth', '1 Samuel', '2 Samuel', '1 Kings', '2 Kings',
-  '1 Chronicles', '2 Chronicles', 'Ezra', 'Nehemiah', 'Esther',
-  'Job', 'Psalms', 'Proverbs', 'Ecclesiastes', 'Song of Songs', 'Song of Solomon',
-  'Isaiah', 'Jeremiah', 'Lamentations', 'Ezekiel', 'Daniel',
-  'Hosea', 'Joel', 'Amos', 'Obadiah', 'Jonah', 'Micah', 'Nahum',
-  'Habakkuk', 'Zephaniah', 'Haggai', 'Zechariah', 'Malachi',
-  // Hebrew names
-  'Bereishit', 'Shemot', 'Vayikra', 'Bamidbar', 'Devarim',
-  'Tehillim', 'Mishlei', 'Kohelet', 'Shir HaShirim', 'Iyov',
-  'Yeshayahu', 'Yirmiyahu', 'Yechezkel', 'Daniyel',
-  'Isa\\.', 'Gen\\.', 'Exod\\.', 'Lev\\.', 'Num\\.', 'Deut\\.',
-  'Ezek\\.', 'Dan\\.', 'Ps\\.', 'Prov\\.',
-  // Talmudic/Midrashic sources
-  'B\\.', 'Y\\.', 'Midrash', 'Pirkei', 'Zohar'
+const { tokenize, stem, addStemExceptions } = require('./text-search');
+
+// Books of the Bible in canonical order, with the abbreviations and Hebrew
+// names that appear in the texts
+const BIBLE_BOOKS = [
+  { name: 'Genesis', aliases: ['Gen', 'Gn', 'Bereishit', 'Bereshit', 'Bereshith'] },
+  { name: 'Exodus', aliases: ['Exod', 'Ex', 'Shemot', 'Shemoth'] },
+  { name: 'Leviticus', aliases: ['Lev', 'Vayikra'] },
+  { name: 'Numbers', aliases: ['Num', 'Bamidbar', 'Be-Midbar'] },
+  { name: 'Deuteronomy', aliases: ['Deut', 'Dt', 'Devarim'] },
+  { name: 'Joshua', aliases: ['Josh', 'Yehoshua'] },
+  { name: 'Judges', aliases: ['Judg', 'Jdg', 'Shoftim'] },
+  { name: 'Ruth', aliases: [] },
+  { name: '1 Samuel', aliases: numberedAliases(1, ['Samuel', 'Sam']) },
+  { name: '2 Samuel', aliases: numberedAliases(2, ['Samuel', 'Sam']) },
+  { name: '1 Kings', aliases: numberedAliases(1, ['Kings', 'Kgs']) },
+  { name: '2 Kings', aliases: numberedAliases(2, ['Kings', 'Kgs']) },
+  { name: '1 Chronicles', aliases: numberedAliases(1, ['Chronicles', 'Chron', 'Chr']) },
+  { name: '2 Chronicles', aliases: numberedAliases(2, ['Chronicles', 'Chron', 'Chr']) },
+  { name: 'Ezra', aliases: [] },
+  { name: 'Nehemiah', aliases: ['Neh'] },
+  { name: 'Esther', aliases: ['Esth', 'Est'] },
+  { name: 'Job', aliases: ['Iyov'] },
+  { name: 'Psalms', aliases: ['Psalm', 'Ps', 'Pss', 'Tehillim'] },
+  { name: 'Proverbs', aliases: ['Prov', 'Mishlei'] },
+  { name: 'Ecclesiastes', aliases: ['Eccles', 'Eccl', 'Eccle', 'Kohelet', 'Koheleth', 'Qoheleth'] },
+  { name: 'Song of Songs', aliases: ['Song of Solomon', 'Song', 'Cant', 'Shir ha-Shirim', 'Shir HaShirim'] },
+  { name: 'Isaiah', aliases: ['Isa', 'Yeshayahu'] },
+  { name: 'Jeremiah', aliases: ['Jer', 'Yirmiyahu'] },
+  { name: 'Lamentations', aliases: ['Lam', 'Eichah', 'Ekhah'] },
+  { name: 'Ezekiel', aliases: ['Ezek', 'Yechezkel', 'Yehezkel'] },
+  { name: 'Daniel', aliases: ['Dan', 'Daniyel'] },
+  { name: 'Hosea', aliases: ['Hos'] },
+  { name: 'Joel', aliases: [] },
+  { name: 'Amos', aliases: [] },
+  { name: 'Obadiah', aliases: ['Obad'] },
+  { name: 'Jonah', aliases: ['Jon'] },
+  { name: 'Micah', aliases: ['Mic'] },
+  { name: 'Nahum', aliases: ['Nah'] },
+  { name: 'Habakkuk', aliases: ['Hab'] },
+  { name: 'Zephaniah', aliases: ['Zeph'] },
+  { name: 'Haggai', aliases: ['Hag'] },
+  { name: 'Zechariah', aliases: ['Zech'] },
+  { name: 'Malachi', aliases: ['Mal'] }
 ];
 
+// "1 Samuel" is also written "I Samuel", "1 Sam." and "I Sam."
+function numberedAliases(number, names) {
+  const roman = 'I'.repeat(number);
+  return names.flatMap(name => [`${number} ${name}`, `${roman} ${name}`]);
+}
+
+const BIBLE_BOOK_LOOKUP = new Map();
+BIBLE_BOOKS.forEach(book => {
+  [book.name, ...book.aliases].forEach(alias => BIBLE_BOOK_LOOKUP.set(alias.toLowerCase(), book.name));
+});
+
+// Book, chapter, then optional verse or verse range: "Gen. 6:1-4", "Psalm 82"
+// Hebrew names used as midrash titles ("Midrash Tehillim", "Bereshit Rabbah") are excluded
 const BIBLICAL_PATTERN = new RegExp(
-  `(${BIBLICAL_BOOKS.join('|')})\\s*(\\d+)?[:\\.]?(\\d+)?(?:[-–](\\d+))?`,
+  `(?<!Midrash\\s)\\b(${[...BIBLE_BOOK_LOOKUP.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(alias => alias.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&').replace(/ /g, '\\s+'))
+    .join('|')})\\.?\\s+(\\d{1,3})(?::(\\d{1,3})(?:\\s*[-–]\\s*(\\d{1,3}))?)?(?![\\d:]|\\s+Rabb)`,
   'gi'
 );
 
-// Theme keywords for automatic tagging
-const THEME_KEYWORDS = {
-  'creation': ['creation', 'created', 'create', 'formed', 'beginning', 'origin', 'genesis', 'first day'],
-  'angels': ['angel', 'seraph', 'cherub', 'ophan', 'metatron', 'sandalphon', 'michael', 'gabriel', 'raphael', 'ministering'],
-  'demons': ['demon', 'satan', 'lilith', 'shedim', 'samael', 'evil spirit', 'azazel', 'prince of darkness'],
-  'heaven': ['heaven', 'paradise', 'throne', 'celestial', 'firmament', 'divine chariot', 'merkavah', 'heavenly'],
-  'hell': ['hell', 'gehenna', 'gehinom', 'underworld', 'punishment', 'sheol'],
-  'messiah': ['messiah', 'redemption', 'end of days', 'olam haba', 'world to come', 'messianic'],
-  'torah': ['torah', 'scripture', 'law', 'commandment', 'covenant', 'revelation', 'sinai', 'tablets'],
-  'patriarchs': ['abraham', 'isaac', 'jacob', 'sarah', 'rebecca', 'rachel', 'leah', 'patriarch'],
-  'moses': ['moses', 'pharaoh', 'egypt', 'plagues', 'red sea', 'burning bush', 'sinai'],
-  'adam-eve': ['adam', 'eve', 'garden of eden', 'eden', 'forbidden fruit', 'tree of knowledge', 'first man', 'first woman'],
-  'noah': ['noah', 'flood', 'ark', 'deluge', 'rainbow'],
-  'mysticism': ['kabbalah', 'sefirot', 'zohar', 'mystical', 'meditation', 'divine name', 'secret', 'hidden'],
-  'creatures': ['leviathan', 'behemoth', 'ziz', 'phoenix', 'golem', 'dragon', 're\'em', 'monster', 'beast'],
-  'soul': ['soul', 'neshama', 'ruach', 'nefesh', 'spirit', 'afterlife', 'reincarnation', 'treasury of souls'],
-  'prophecy': ['prophet', 'prophecy', 'vision', 'dream', 'revelation', 'seer'],
-  'temple': ['temple', 'tabernacle', 'mishkan', 'sanctuary', 'holy of holies', 'ark of the covenant'],
-  'exile': ['exile', 'diaspora', 'wandering', 'scattered', 'captivity', 'babylon'],
-  'holy-land': ['jerusalem', 'zion', 'israel', 'canaan', 'promised land', 'holy land']
-};
+// Rabbinic citations are kept apart from biblical ones
+const RABBINIC_PATTERNS = [
+  { corpus: 'Babylonian Talmud', pattern: /\bB\.\s+([A-Z][\w'-]+(?:\s+[A-Z][\w'-]+)?)\s+(\d+[ab])/g },
+  { corpus: 'Jerusalem Talmud', pattern: /\bY\.\s+([A-Z][\w'-]+(?:\s+[A-Z][\w'-]+)?)\s+(\d+(?::\d+)?[a-d]?)/g },
+  { corpus: 'Mishnah', pattern: /\bM\.\s+([A-Z][\w'-]+(?:\s+[A-Z][\w'-]+)?)\s+(\d+:\d+)/g },
+  { corpus: 'Zohar', pattern: /\b(Zohar(?:\s+Hadash)?)\s+(\d+:\d+[ab]?|\d+[ab])/g },
+  { corpus: 'Midrash', pattern: /\b((?:Midrash|Pesikta|Pirkei|Avot)(?:\s+(?:de-)?[A-Z][\w'-]+){1,3}|[A-Z][\w'-]+(?:\s+(?:of\s+)?[A-Z][\w'-]+){0,2}\s+Rabbah|Tanhuma(?:\s+Buber)?|Sifre|Sifra|Mekhilta(?:\s+[A-Z][\w'-]+)?)\s+(\d+(?::\d+)?)/g }
+];
 
-function extractThemes(text) {
-  const themes = new Set();
-  const lowerText = text.toLowerCase();
+// Themes and their keywords are in themes.json, see loadThemes.
+// A mention in the title says more about what a myth is about than one in
+// the commentary
+const THEME_FIELD_WEIGHTS = { title: 3, content: 1, commentary: 0.5 };
+
+// Scores are mapped to a 0-1 confidence that rises quickly for the first
+// few mentions and then levels off; a single full-weight mention in the
+// content gives about 0.4
+const THEME_SCORE_SCALE = 2;
+const MIN_THEME_CONFIDENCE = 0.3;
+
+// Confidences below this are not worth storing
+const MIN_STORED_THEME_CONFIDENCE = 0.1;
+
+// Named figures, with the spellings used for them in the texts
+// and a one-line description for the character pages
+const FIGURES = [
+  { id: 'adam', name: 'Adam', aliases: ['Adam'], bio: 'The first man, formed from the dust of the earth and placed in the Garden of Eden.' },
+  { id: 'eve', name: 'Eve', aliases: ['Eve', 'Havah'], bio: 'The first woman and the mother of all living, who ate from the Tree of Knowledge.' },
+  { id: 'lilith', name: 'Lilith', aliases: ['Lilith'], bio: 'Adam\'s first wife, who fled Eden and became the queen of demons.' },
+  { id: 'cain', name: 'Cain', aliases: ['Cain'], bio: 'The first son of Adam and Eve, who murdered his brother Abel.' },
+  { id: 'abel', name: 'Abel', aliases: ['Abel'], bio: 'The second son of Adam and Eve, a shepherd slain by Cain.' },
+  { id: 'seth', name: 'Seth', aliases: ['Seth'], bio: 'The third son of Adam and Eve, born in the image of his father.' },
+  { id: 'enoch', name: 'Enoch', aliases: ['Enoch'], bio: 'The antediluvian patriarch who walked with God and was taken up to heaven.' },
+  { id: 'metatron', name: 'Metatron', aliases: ['Metatron'], bio: 'The Prince of the Presence, the highest angel, identified with the transformed Enoch.' },
+  { id: 'noah', name: 'Noah', aliases: ['Noah'], bio: 'The righteous man who built the ark and survived the Flood.' },
+  { id: 'nimrod', name: 'Nimrod', aliases: ['Nimrod'], bio: 'The mighty hunter and king who built the Tower of Babel and persecuted Abraham.' },
+  { id: 'og', name: 'Og', aliases: ['Og'], bio: 'The giant king of Bashan, said to have survived the Flood by clinging to the ark.' },
+  { id: 'abraham', name: 'Abraham', aliases: ['Abraham', 'Abram'], bio: 'The first patriarch, who recognized the one God and bound Isaac on Mount Moriah.' },
+  { id: 'sarah', name: 'Sarah', aliases: ['Sarah', 'Sarai'], bio: 'The first matriarch, wife of Abraham and mother of Isaac.' },
+  { id: 'isaac', name: 'Isaac', aliases: ['Isaac'], bio: 'The second patriarch, bound on the altar by his father Abraham.' },
+  { id: 'rebecca', name: 'Rebecca', aliases: ['Rebecca', 'Rebekah'], bio: 'The wife of Isaac and mother of Jacob and Esau.' },
+  { id: 'jacob', name: 'Jacob', aliases: ['Jacob'], bio: 'The third patriarch, who wrestled with the angel and was renamed Israel.' },
+  { id: 'esau', name: 'Esau', aliases: ['Esau'], bio: 'Jacob\'s twin brother, the hunter who sold his birthright.' },
+  { id: 'rachel', name: 'Rachel', aliases: ['Rachel'], bio: 'Jacob\'s beloved wife, mother of Joseph and Benjamin, who weeps for her children.' },
+  { id: 'leah', name: 'Leah', aliases: ['Leah'], bio: 'Jacob\'s first wife, mother of six of the tribes.' },
+  { id: 'joseph', name: 'Joseph', aliases: ['Joseph'], bio: 'Jacob\'s son, sold into slavery, who rose to rule Egypt.' },
+  { id: 'serah-bat-asher', name: 'Serah bat Asher', aliases: ['Serah bat Asher', 'Serah'], bio: 'Jacob\'s granddaughter, who told him Joseph lived and was granted to enter Paradise alive.' },
+  { id: 'moses', name: 'Moses', aliases: ['Moses'], bio: 'The prophet who led Israel out of Egypt and received the Torah at Sinai.' },
+  { id: 'aaron', name: 'Aaron', aliases: ['Aaron'], bio: 'The brother of Moses and the first High Priest.' },
+  { id: 'miriam', name: 'Miriam', aliases: ['Miriam'], bio: 'The sister of Moses, a prophetess whose well followed Israel in the wilderness.' },
+  { id: 'pharaoh', name: 'Pharaoh', aliases: ['Pharaoh'], bio: 'The king of Egypt who enslaved Israel and hardened his heart.' },
+  { id: 'balaam', name: 'Balaam', aliases: ['Balaam'], bio: 'The gentile prophet hired to curse Israel, who blessed them instead.' },
+  { id: 'korah', name: 'Korah', aliases: ['Korah'], bio: 'The Levite who rebelled against Moses and was swallowed by the earth.' },
+  { id: 'joshua', name: 'Joshua', aliases: ['Joshua'], bio: 'The disciple of Moses who led Israel into the land of Canaan.' },
+  { id: 'david', name: 'David', aliases: ['David'], bio: 'The shepherd king of Israel and sweet singer of the Psalms.' },
+  { id: 'solomon', name: 'Solomon', aliases: ['Solomon'], bio: 'The wise king who built the Temple and commanded the demons.' },
+  { id: 'elijah', name: 'Elijah', aliases: ['Elijah', 'Eliyahu'], bio: 'The prophet taken up in a fiery chariot, who returns to aid the righteous and will herald the Messiah.' },
+  { id: 'isaiah', name: 'Isaiah', aliases: ['Isaiah'], bio: 'The prophet who saw God enthroned among the seraphim.' },
+  { id: 'ezekiel', name: 'Ezekiel', aliases: ['Ezekiel'], bio: 'The prophet of the exile who saw the vision of the Divine Chariot.' },
+  { id: 'michael', name: 'Michael', aliases: ['Michael'], bio: 'The archangel who is the guardian prince of Israel.' },
+  { id: 'gabriel', name: 'Gabriel', aliases: ['Gabriel'], bio: 'The archangel of strength and judgment, made of fire.' },
+  { id: 'raphael', name: 'Raphael', aliases: ['Raphael'], bio: 'The archangel of healing.' },
+  { id: 'uriel', name: 'Uriel', aliases: ['Uriel'], bio: 'The archangel of light.' },
+  { id: 'sandalphon', name: 'Sandalphon', aliases: ['Sandalphon', 'Sandalfon'], bio: 'The towering angel who weaves the prayers of Israel into garlands for God.' },
+  { id: 'samael', name: 'Samael', aliases: ['Samael', 'Sammael'], bio: 'The Angel of Death and prince of demons, consort of Lilith.' },
+  { id: 'satan', name: 'Satan', aliases: ['Satan'], bio: 'The Adversary, who accuses Israel before the heavenly court.' },
+  { id: 'lucifer', name: 'Lucifer', aliases: ['Lucifer'], bio: 'The morning star who sought to raise his throne above God\'s and was cast down.' },
+  { id: 'azazel', name: 'Azazel', aliases: ['Azazel'], bio: 'A fallen angel who taught humanity the arts of war and adornment.' },
+  { id: 'shemhazai', name: 'Shemhazai', aliases: ['Shemhazai'], bio: 'Leader of the Watchers, the angels who descended and took human wives.' },
+  { id: 'asmodeus', name: 'Asmodeus', aliases: ['Ashmedai', 'Asmodeus'], bio: 'The king of demons, who was bound by Solomon.' },
+  { id: 'naamah', name: 'Naamah', aliases: ['Naamah', 'Na\'amah'], bio: 'The sister of Tubal-cain, remembered as a seductress of angels and a mother of demons.' },
+  { id: 'leviathan', name: 'Leviathan', aliases: ['Leviathan'], bio: 'The primordial sea monster, to be served at the messianic banquet.' },
+  { id: 'behemoth', name: 'Behemoth', aliases: ['Behemoth'], bio: 'The primordial land beast that grazes on a thousand hills.' },
+  { id: 'ziz', name: 'Ziz', aliases: ['Ziz'], bio: 'The giant bird whose wings darken the sun.' },
+  { id: 'shekhinah', name: 'Shekhinah', aliases: ['Shekhinah', 'Shekinah'], bio: 'The Divine Presence, the feminine aspect of God who goes into exile with Israel.' },
+  { id: 'messiah', name: 'Messiah', aliases: ['Messiah'], bio: 'The anointed redeemer who will usher in the End of Days.' },
+  { id: 'rabbi-akiba', name: 'Rabbi Akiba', aliases: ['Rabbi Akiba', 'Rabbi Akiva', 'Akiba', 'Akiva'], bio: 'The second-century sage who entered Paradise and departed in peace.' },
+  { id: 'rabbi-ishmael', name: 'Rabbi Ishmael', aliases: ['Rabbi Ishmael'], bio: 'The sage and High Priest who ascended to the heavenly palaces.' },
+  { id: 'shimon-bar-yohai', name: 'Rabbi Shimon bar Yohai', aliases: ['Shimon bar Yohai', 'Simeon ben Yohai'], bio: 'The sage who hid in a cave for thirteen years, to whom the Zohar is attributed.' },
+  { id: 'isaac-luria', name: 'Isaac Luria', aliases: ['Isaac Luria', 'Ari'], bio: 'The Ari, the sixteenth-century kabbalist of Safed whose myth of the shattered vessels reshaped Jewish mysticism.' },
+  { id: 'baal-shem-tov', name: 'Baal Shem Tov', aliases: ['Baal Shem Tov'], bio: 'Israel ben Eliezer, the eighteenth-century founder of Hasidism.' }
+];
 
-  for (const [theme, keywords] of Object.entries(THEME_KEYWORDS)) {
-    for (const keyword of keywords) {
-      if (lowerText.includes(keyword)) {
-        themes.add(theme);
-        break;
-      }
-    }
+// All aliases in one pattern, longest first, so "Isaac Luria" is not also
+// counted as Isaac. An alias followed by a number is a book citation, not a figure
+const FIGURE_ALIASES = new Map();
+FIGURES.forEach(figure => figure.aliases.forEach(alias => FIGURE_ALIASES.set(alias, figure.id)));
+
+const FIGURE_PATTERN = new RegExp(
+  `\\b(${[...FIGURE_ALIASES.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|')})\\b(?!\\.?\\s*\\d)`,
+  'g'
+);
+
+// Longer names that take in a figure's without being that figure: Adam
+// Kadmon, the primordial man; Eliyahu Rabbah, a midrash; and sages and
+// scholars sharing a biblical name ("Rabbi Joshua", "Professor Michael").
+// Titled figures ("Rabbi Akiba") and ones with longer names ("Rabbi Isaac
+// Luria") are still counted
+const TITLED_FIGURE_NAMES = [...FIGURE_ALIASES.keys()]
+  .filter(alias => alias.includes(' '))
+  .map(alias => alias.replace(/^Rabbi /, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+const OTHER_NAME_PATTERN = new RegExp(
+  `\\b(?:Adam Kadmon|Eliyahu (?:Rabbah|Zuta)|(?:Rabbi|Rav|Professor) (?!(?:${TITLED_FIGURE_NAMES.join('|')})\\b)[A-Z][a-z]+)\\b`,
+  'g'
+);
+
+// Figures named in the text, most mentioned first. Only the myth itself is
+// searched, as commentary and citations name scholars and other works
+function extractFigures(text) {
+  text = text.replace(OTHER_NAME_PATTERN, ' ');
+  const counts = new Map();
+  const pattern = new RegExp(FIGURE_PATTERN.source, 'g');
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const id = FIGURE_ALIASES.get(match[1]);
+    counts.set(id, (counts.get(id) || 0) + 1);
   }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+}
+
+// The theme taxonomy is a tree in themes.json. Each theme has an id, a label,
+// keywords with how strongly each signals it (common words that often appear
+// in passing count for less) and optionally child themes. Themes are scored on
+// their own keywords only; a parent's broader keywords ("angel") are kept
+// apart from its children's specific ones ("metatron")
+function loadThemes(basePath) {
+  const themesPath = path.join(basePath, 'themes.json');
+  if (!fs.existsSync(themesPath)) {
+    console.log('  No themes.json found, myths will not be tagged');
+    return { tree: [], keywordThemes: new Map(), pattern: null };
+  }
+
+  const { themes } = JSON.parse(fs.readFileSync(themesPath, 'utf-8'));
+  const keywordThemes = new Map();
+  const seen = new Set();
+  const describe = theme => {
+    if (seen.has(theme.id)) throw new Error(`themes.json: duplicate theme id "${theme.id}"`);
+    seen.add(theme.id);
+    Object.entries(theme.keywords || {}).forEach(([keyword, weight]) => {
+      if (!keywordThemes.has(keyword)) keywordThemes.set(keyword, []);
+      keywordThemes.get(keyword).push({ theme: theme.id, weight });
+    });
+    const node = { id: theme.id, label: theme.label };
+    if (theme.children && theme.children.length > 0) node.children = theme.children.map(describe);
+    return node;
+  };
+  const tree = themes.map(describe);
+
+  // All keywords in one pattern, longest first, so "ark of the covenant"
+  // counts for the Temple and not also as Noah's ark. A keyword may take a
+  // plural ending
+  const pattern = keywordThemes.size > 0 ? new RegExp(
+    `\\b(${[...keywordThemes.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|')})(?:e?s)?\\b`,
+    'gi'
+  ) : null;
+
+  return { tree, keywordThemes, pattern };
+}
+
+// Score each theme by its keyword mentions in the title, content and
+// commentary. Returns { themes, themeScores }: the themes confident enough
+// to tag, strongest first, and the confidence for every theme worth keeping
+function extractThemes(fields, taxonomy) {
+  if (!taxonomy.pattern) return { themes: [], themeScores: {} };
+  const scores = {};
+  Object.entries(THEME_FIELD_WEIGHTS).forEach(([field, fieldWeight]) => {
+    for (const match of (fields[field] || '').matchAll(taxonomy.pattern)) {
+      taxonomy.keywordThemes.get(match[1].toLowerCase()).forEach(({ theme, weight }) => {
+        scores[theme] = (scores[theme] || 0) + fieldWeight * weight;
+      });
+    }
+  });
+
+  const themeScores = {};
+  Object.entries(scores)
+    .map(([theme, score]) => [theme, Math.round((1 - Math.exp(-score / THEME_SCORE_SCALE)) * 100) / 100])
+    .filter(([, confidence]) => confidence >= MIN_STORED_THEME_CONFIDENCE)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([theme, confidence]) => { themeScores[theme] = confidence; });
 
-  return Array.from(themes);
+  return {
+    themes: Object.keys(themeScores).filter(theme => themeScores[theme] >= MIN_THEME_CONFIDENCE),
+    themeScores
+  };
 }
 
+// Parse biblical citations into canonical { book, chapter, verseStart, verseEnd }
 function extractBiblicalReferences(text) {
-  const references = new Set();
-  let match;
+  const references = new Map();
   const pattern = new RegExp(BIBLICAL_PATTERN.source, 'gi');
+  let match;
 
   while ((match = pattern.exec(text)) !== null) {
-    let ref = match[1].replace(/\\./g, '');
-    if (match[2]) {
-      ref += ` ${match[2]}`;
-      if (match[3]) {
-        ref += `:${match[3]}`;
-        if (match[4]) {
-          ref += `-${match[4]}`;
-        }
-      }
+    // Only capitalized book names count, so "job 5" in running text is ignored
+    if (!/^[A-Z1-3]/.test(match[1])) continue;
+    const book = BIBLE_BOOK_LOOKUP.get(match[1].replace(/\s+/g, ' ').toLowerCase());
+    const chapter = parseInt(match[2]);
+    const verseStart = match[3] ? parseInt(match[3]) : null;
+    const verseEnd = match[4] ? parseInt(match[4]) : verseStart;
+    if (verseEnd !== null && verseEnd < verseStart) continue;
+
+    const key = `${book} ${chapter}:${verseStart}-${verseEnd}`;
+    references.set(key, { book, chapter, verseStart, verseEnd });
+  }
+
+  const bookOrder = new Map(BIBLE_BOOKS.map((book, index) => [book.name, index]));
+  return Array.from(references.values()).sort((a, b) =>
+    bookOrder.get(a.book) - bookOrder.get(b.book) ||
+    a.chapter - b.chapter ||
+    (a.verseStart || 0) - (b.verseStart || 0)
+  );
+}
+
+// Parse Talmud, Mishnah, Zohar and midrash citations into { corpus, work, location }
+function extractRabbinicReferences(text) {
+  const references = new Map();
+
+  for (const { corpus, pattern } of RABBINIC_PATTERNS) {
+    const regex = new RegExp(pattern.source, 'g');
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const work = match[1].replace(/\s+/g, ' ');
+      const location = match[2];
+      references.set(`${corpus}|${work}|${location}`, { corpus, work, location });
     }
-    references.add(ref.trim());
   }
 
-  return Array.from(references);
+  return Array.from(references.values());
 }
 
 function cleanText(text) {
@@ -100,27 +320,309 @@ function cleanText(text) {
     .trim();
 }
 
+// Title slugs were the ids of earlier builds; they are still generated so
+// links using them keep resolving through metadata.aliases
+const ID_MAX_LENGTH = 80;
+
 function generateId(title, source) {
-  return `${source}-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`.substring(0, 80);
+  return `${source}-${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`.substring(0, ID_MAX_LENGTH);
 }
 
-function fixOcrErrors(text) {
-  return text
-    .replace(/COD/g, 'GOD')
-    .replace(/6OD/g, 'GOD')
-    .replace(/600/g, 'God')
-    .replace(/CLORY/g, 'GLORY')
-    .replace(/6LORY/g, 'GLORY')
-    .replace(/cod/g, 'god')
-    .replace(/th e /g, 'the ')
-    .replace(/he aven/g, 'heaven')
-    .replace(/ jvvhose /g, ' whose ')
-    .replace(/ toglorify /g, ' to glorify ');
-}
-
-// Parse Schwartz's Tree of Souls
-function parseSchwartzFile(content) {
+function romanToNumber(roman) {
+  const values = { I: 1, V: 5, X: 10, L: 50 };
+  return [...roman].reduce((total, char, i) => {
+    const value = values[char];
+    return value < (values[roman[i + 1]] || 0) ? total - value : total + value;
+  }, 0);
+}
+
+// Make every id unique, suffixing repeats with -2, -3... in document order
+// Returns the renames as [{ from, to }] for the QA report
+function ensureUniqueIds(myths) {
+  const seen = new Map();
+  const renamed = [];
+  myths.forEach(myth => {
+    const count = (seen.get(myth.id) || 0) + 1;
+    seen.set(myth.id, count);
+    if (count > 1) {
+      console.log(`  Warning: duplicate id ${myth.id} for "${myth.title}", using ${myth.id}-${count}`);
+      renamed.push({ from: myth.id, to: `${myth.id}-${count}` });
+      myth.id = `${myth.id}-${count}`;
+    }
+  });
+  return renamed;
+}
+
+// Map ids that no longer exist to the current ones: aliases carried over
+// from the previous build, title slugs, and entries the diff found renamed
+function buildAliases(myths, previousAliases = {}, renamed = []) {
+  const ids = new Set(myths.map(myth => myth.id));
+  const aliases = {};
+  const add = (from, to) => {
+    if (from !== to && !ids.has(from) && !(from in aliases)) aliases[from] = to;
+  };
+
+  myths.forEach(myth => add(myth.slug, myth.id));
+  renamed.forEach(({ from, to }) => add(from, to));
+
+  // Old aliases may point at ids that have since moved on themselves
+  const renamedTo = new Map(renamed.map(({ from, to }) => [from, to]));
+  Object.entries(previousAliases).forEach(([from, to]) => {
+    const target = ids.has(to) ? to : renamedTo.get(to) || aliases[to];
+    if (target) add(from, target);
+  });
+
+  return aliases;
+}
+
+// OCR corrections are driven by ocr-rules.json:
+//   rules   - regular expression replacements, optionally limited to some sources
+//   rejoin  - settings for putting split words ("h ad", "fun ction") back together
+// Every change is logged with the line it was made on, and the id of the myth
+// whose text the line is part of, for data/ocr-log.json. Lines outside any
+// myth, such as running heads and the printed contents, are logged without one
+function loadOcrCorrections(basePath, texts) {
+  const rulesPath = path.join(basePath, 'ocr-rules.json');
+  if (!fs.existsSync(rulesPath)) {
+    console.log('  No ocr-rules.json found, text will not be corrected');
+    return { rules: [], rejoin: null, dictionary: new Set(), log: [] };
+  }
+
+  const config = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
+  const rules = config.rules.map(rule => ({
+    ...rule,
+    regex: new RegExp(rule.pattern, rule.flags || 'g')
+  }));
+  const rejoin = config.rejoin
+    ? { ...config.rejoin, keepSplit: new Set(config.rejoin.keepSplit || []) }
+    : null;
+  const dictionary = rejoin ? buildDictionary(texts, rejoin.minWordCount, rejoin.words) : new Set();
+  return { rules, rejoin, dictionary, log: [] };
+}
+
+// Words seen at least minCount times across the texts. Single letters other
+// than "a" and "i" are left out; they are what split words leave behind
+function buildDictionary(texts, minCount = 3, extraWords = []) {
+  const counts = new Map();
+  texts.forEach(text => {
+    (text.toLowerCase().match(/[a-z]+/g) || []).forEach(word => {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    });
+  });
+  const dictionary = new Set(extraWords.map(word => word.toLowerCase()));
+  counts.forEach((count, word) => {
+    if (count >= minCount && (word.length > 1 || word === 'a' || word === 'i')) dictionary.add(word);
+  });
+  return dictionary;
+}
+
+// Apply the rules and the split-word rejoiner for context.source to text
+// context is { source, line, id } and is recorded with each correction
+function fixOcrErrors(text, ocr, context) {
+  const record = (rule, before, after, offset, original) => ocr.log.push({
+    ...(context.id && { id: context.id }),
+    source: context.source,
+    line: context.line,
+    rule,
+    before,
+    after,
+    context: original.slice(Math.max(0, offset - 30), offset + before.length + 30)
+  });
+
+  ocr.rules.forEach(rule => {
+    if (rule.sources && !rule.sources.includes(context.source)) return;
+    const original = text;
+    text = text.replace(rule.regex, (...args) => {
+      const match = args[0];
+      const offsetIndex = args.findIndex((arg, i) => i > 0 && typeof arg === 'number');
+      const groups = args.slice(1, offsetIndex);
+      const replacement = rule.replacement.replace(/\$(\d|&)/g, (_, group) =>
+        group === '&' ? match : groups[group - 1] || ''
+      );
+      record(rule.id, match, replacement, args[offsetIndex], original);
+      return replacement;
+    });
+  });
+
+  if (ocr.rejoin && (!ocr.rejoin.sources || ocr.rejoin.sources.includes(context.source))) {
+    text = rejoinSplitWords(text, ocr, record);
+  }
+  return text;
+}
+
+// Join neighbouring fragments when together they make a known word and at
+// least one of them is not a word on its own: "h ad" -> "had", "fun ction" -> "function"
+// A lone letter is more often a lost apostrophe ("God s word") than half a
+// word, so it only joins a fragment that is not a word either. Fragments
+// ending in a hyphen continue on the next line and are left alone
+// Joined words can keep growing, so "thr ou gh" becomes "through"
+function rejoinSplitWords(text, ocr, record) {
+  const words = text.split(' ');
+  const isWord = word => ocr.dictionary.has(word.toLowerCase());
+  let offset = 0;
+
+  for (let i = 0; i < words.length - 1;) {
+    const first = words[i].match(/^(\W*)([A-Za-z]+)$/);
+    const second = words[i + 1].match(/^([a-z]+)(\W*)$/);
+    if (first && second && !ocr.rejoin.keepSplit.has(second[1]) && !second[2].endsWith('-')) {
+      const joined = first[2] + second[1];
+      const loneLetter = first[2].length === 1 && !isWord(first[2]);
+      const fragment = loneLetter ? !isWord(second[1]) : !isWord(first[2]) || !isWord(second[1]);
+      if (isWord(joined) && fragment) {
+        const before = `${words[i]} ${words[i + 1]}`;
+        words.splice(i, 2, first[1] + joined + second[2]);
+        record('rejoin', before, words[i], offset, text);
+        continue;
+      }
+    }
+    offset += words[i].length + 1;
+    i++;
+  }
+  return words.join(' ');
+}
+
+// Corrections are made line by line before the parser knows what a line is,
+// so they are reassigned once it does. context is { source, line, id }
+function attributeCorrections(ocr, context) {
+  ocr.log.forEach(entry => {
+    if (entry.source !== context.source || entry.line !== context.line) return;
+    if (context.id) {
+      entry.id = context.id;
+    } else {
+      delete entry.id;
+    }
+  });
+}
+
+// Pull footnote markers like [12] out of the text, recording where each one sat
+function extractFootnotes(text, noteBodies = {}) {
+  const notes = [];
+  const pattern = /\s*\[(\d+)\]/g;
+  let stripped = '';
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    stripped += text.slice(lastIndex, match.index);
+    const number = parseInt(match[1]);
+    notes.push({
+      number,
+      text: noteBodies[number] || '',
+      offset: stripped.length
+    });
+    lastIndex = pattern.lastIndex;
+  }
+  stripped += text.slice(lastIndex);
+
+  return { text: stripped, notes };
+}
+
+// Parse a notes file into { chapterNumeral: { noteNumber: text } }
+// Chapters are introduced by a bare Roman numeral line, notes by a leading [n]
+function parseChapterNotes(content) {
+  const chapters = {};
+  let currentChapter = null;
+  let currentNote = null;
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (/^[IVXL]+\.?$/.test(line)) {
+      currentChapter = line.replace('.', '');
+      chapters[currentChapter] = chapters[currentChapter] || {};
+      currentNote = null;
+      continue;
+    }
+
+    const noteMatch = line.match(/^\[(\d+)\]\s*(.*)$/);
+    if (noteMatch && currentChapter) {
+      currentNote = parseInt(noteMatch[1]);
+      chapters[currentChapter][currentNote] = noteMatch[2];
+      continue;
+    }
+
+    if (currentChapter && currentNote !== null) {
+      chapters[currentChapter][currentNote] += ` ${line}`;
+    }
+  }
+
+  for (const notes of Object.values(chapters)) {
+    for (const number of Object.keys(notes)) {
+      notes[number] = cleanText(notes[number]);
+    }
+  }
+
+  return chapters;
+}
+
+// Parse a Studies entry such as "Inner Space by Aryeh Kaplan, pp. 115-120."
+function parseStudy(entry) {
+  const text = cleanText(entry).replace(/\s+([,:;.])/g, '$1');
+  const yearMatch = text.match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+  const study = {
+    author: '',
+    title: text.replace(/\.$/, ''),
+    year: yearMatch ? parseInt(yearMatch[1]) : null,
+    citation: text
+  };
+
+  const byMatch = text.match(/^(.+?),?\s+(?:(?:edited|translated)\s+)?by\s+(.+?)\.?$/);
+  if (byMatch) {
+    study.title = byMatch[1].replace(/^["“]\s*|\s*["”]$/g, '').trim();
+    study.author = byMatch[2]
+      .replace(/,\s*pp?\..*$/, '')
+      .replace(/,?\s*\(?\b(1[5-9]\d{2}|20\d{2})\)?$/, '')
+      .trim();
+  }
+
+  return study;
+}
+
+// Find the line where the body of a work begins, from its manifest entry:
+// the first line after start.after that reads start.marker (a trailing
+// period is allowed), optionally followed by the start.followedBy heading
+function findContentStart(lines, start) {
+  const matches = line => line === start.marker || line === `${start.marker}.`;
+  for (let i = start.after || 0; i < lines.length; i++) {
+    if (!matches(lines[i])) continue;
+    if (!start.followedBy) return i;
+    const next = lines.slice(i + 1).find(line => line);
+    if (next && next.toUpperCase() === start.followedBy.toUpperCase()) return i;
+  }
+  return -1;
+}
+
+// The printed table of contents: from source.contents.marker to the first
+// line starting with source.contents.end. Front matter listed before the
+// first heading is left out, and so is the end marker within it
+// Returns { start, lines } with start the index of the first line
+function findContentsLines(lines, contents, isHeading) {
+  const marker = lines.findIndex(line => line === contents.marker);
+  const start = marker === -1 ? -1 : lines.findIndex((line, i) => i > marker && isHeading(line));
+  if (start === -1) {
+    console.log('  Warning: Could not find the printed contents');
+    return { start: 0, lines: [] };
+  }
+  const end = lines.findIndex((line, i) => i > start && line.startsWith(contents.end));
+  return { start, lines: lines.slice(start, end === -1 ? undefined : end) };
+}
+
+// Commentary follows the myth text and usually opens with one of these.
+// The same opening after the end of a sentence inside a myth's text means
+// its commentary was not split off
+const COMMENTARY_OPENING = '(This (biblical|myth|passage|story|legend|vision|account|text|is)|Here (the|God|we)|In this (myth|passage|interpretation)|According to|One way of reading|A close variant|The idea|While|So too|Some say|There are many)';
+const COMMENTARY_START_PATTERN = new RegExp(`^${COMMENTARY_OPENING}`, 'i');
+const COMMENTARY_INSIDE_PATTERN = new RegExp(`[.!?"”] ${COMMENTARY_OPENING}\\b`);
+
+// Adapter for anthologies of numbered myths ("1. ISAIAH'S VISION") grouped
+// into BOOK ONE... and capitalised sections, each myth followed by
+// commentary, Sources and Studies, as in Schwartz's Tree of Souls
+// context is { ocr, themes, dropped, basePath }; entries too short to keep are
+// collected in dropped for the QA report
+function parseNumberedMyths(content, source, context) {
   const myths = [];
+  const { ocr, dropped } = context;
 
   // Split into lines
   const lines = content.split('\n').map(line => line.trim());
@@ -129,18 +631,12 @@ function parseSchwartzFile(content) {
   let currentSection = '';
   let currentMyth = null;
   let contentBuffer = [];
-  let mode = 'seeking'; // seeking, content, commentary, sources
-
-  // Find where actual content starts (look for "BOOK ONE" after line 6000)
-  let contentStart = 0;
-  for (let i = 6000; i < lines.length; i++) {
-    if (lines[i].trim() === 'BOOK ONE') {
-      contentStart = i;
-      break;
-    }
-  }
+  let mode = 'seeking'; // seeking, content, commentary, sources, studies
+  let studyOpen = false; // whether the last Studies entry continues on the next line
 
-  if (contentStart === 0) {
+  // Find where actual content starts (after the front matter and contents)
+  const contentStart = findContentStart(lines, source.start);
+  if (contentStart === -1) {
     console.log('  Warning: Could not find content start marker');
     return myths;
   }
@@ -150,8 +646,11 @@ function parseSchwartzFile(content) {
   for (let i = contentStart; i < lines.length; i++) {
     let line = lines[i].trim();
 
-    // Skip empty lines
-    if (!line) continue;
+    // Skip empty lines (they also end a Studies entry)
+    if (!line) {
+      studyOpen = false;
+      continue;
+    }
 
     // Skip page numbers and headers
     if (/^\d+$/.test(line)) continue;
@@ -159,7 +658,7 @@ function parseSchwartzFile(content) {
     if (/^CONTENTS/.test(line)) continue;
     if (/^\d+\s+MYTHS OF/.test(line)) continue;
 
-    line = fixOcrErrors(line);
+    line = fixOcrErrors(line, ocr, { source: source.id, line: i + 1, id: currentMyth ? currentMyth.id : null });
 
     // Detect book headers (BOOK ONE, BOOK TWO, etc.)
     if (/^BOOK\s+(ONE|TWO|THREE|FOUR|FIVE|SIX|SEVEN|EIGHT|NINE|TEN)$/i.test(line)) {
@@ -169,15 +668,19 @@ function parseSchwartzFile(content) {
         currentMyth.commentary = contentBuffer.filter(l => l.mode === 'commentary').map(l => l.text).join(' ');
         if (currentMyth.content.length > 50) {
           myths.push(currentMyth);
+        } else {
+          dropped.push(currentMyth);
         }
       }
 
+      attributeCorrections(ocr, { source: source.id, line: i + 1, id: null });
       currentBook = line;
       // Look for the book subtitle (e.g., "MYTHS OF GOD") in next few lines
       for (let j = 1; j <= 3; j++) {
         const nextLine = lines[i + j]?.trim();
-        if (nextLine && /^MYTHS\s+(OF|ABOUT)/i.test(fixOcrErrors(nextLine))) {
-          currentBook = `${line}: ${fixOcrErrors(nextLine).split(' ').map(w => w.charAt(0) + w.slice(1).toLowerCase()).join(' ')}`;
+        if (nextLine && /^MYTHS\s+(OF|ABOUT)/i.test(nextLine)) {
+          const subtitle = fixOcrErrors(nextLine, ocr, { source: source.id, line: i + j + 1, id: null });
+          currentBook = `${line}: ${subtitle.split(' ').map(w => w.charAt(0) + w.slice(1).toLowerCase()).join(' ')}`;
           i += j;
           break;
         }
@@ -204,9 +707,12 @@ function parseSchwartzFile(content) {
         currentMyth.commentary = contentBuffer.filter(l => l.mode === 'commentary').map(l => l.text).join(' ');
         if (currentMyth.content.length > 50) {
           myths.push(currentMyth);
+        } else {
+          dropped.push(currentMyth);
         }
       }
 
+      attributeCorrections(ocr, { source: source.id, line: i + 1, id: null });
       currentSection = line.split(' ').map(w =>
         w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()
       ).join(' ');
@@ -225,6 +731,8 @@ function parseSchwartzFile(content) {
         currentMyth.commentary = contentBuffer.filter(l => l.mode === 'commentary').map(l => l.text).join(' ');
         if (currentMyth.content.length > 50) {
           myths.push(currentMyth);
+        } else {
+          dropped.push(currentMyth);
         }
       }
 
@@ -234,18 +742,24 @@ function parseSchwartzFile(content) {
         .join(' ');
 
       currentMyth = {
-        id: generateId(title, 'schwartz'),
+        id: `${source.id}-${mythMatch[1]}`,
+        slug: generateId(title, source.id),
         number: parseInt(mythMatch[1]),
         title: title,
         content: '',
         commentary: '',
         sources: [],
+        studies: [],
         book: currentBook,
         section: currentSection,
-        sourceWork: 'schwartz',
+        sourceWork: source.id,
         biblicalReferences: [],
-        themes: []
+        rabbinicReferences: [],
+        themes: [],
+        themeScores: {},
+        figures: []
       };
+      attributeCorrections(ocr, { source: source.id, line: i + 1, id: currentMyth.id });
       contentBuffer = [];
       mode = 'content';
       continue;
@@ -257,15 +771,24 @@ function parseSchwartzFile(content) {
       continue;
     }
 
-    // Detect studies section (skip)
+    // Detect studies section
     if (/^Studies\s*:?\s*$/i.test(line)) {
-      mode = 'skip';
+      mode = 'studies';
+      studyOpen = false;
       continue;
     }
 
     // Process content based on mode
-    if (currentMyth && mode !== 'skip' && mode !== 'seeking') {
-      if (mode === 'sources') {
+    if (currentMyth && mode !== 'seeking') {
+      if (mode === 'studies') {
+        // Entries may wrap across lines; one is complete once it ends in a period
+        if (studyOpen) {
+          currentMyth.studies[currentMyth.studies.length - 1] += ` ${line}`;
+        } else {
+          currentMyth.studies.push(line);
+        }
+        studyOpen = !/\.["”]?$/.test(line);
+      } else if (mode === 'sources') {
         // Extract source references
         const sourceParts = line.replace(/;/g, ',').split(',').map(s => s.trim()).filter(s => s.length > 2);
         currentMyth.sources.push(...sourceParts);
@@ -276,7 +799,7 @@ function parseSchwartzFile(content) {
         if (mode === 'content' && contentBuffer.length > 0) {
           const totalContentLength = contentBuffer.reduce((sum, l) => sum + l.text.length, 0);
           const isCommentaryStart = totalContentLength > 300 &&
-              /^(This (biblical|myth|passage|story|legend|vision|account|text|is)|Here (the|God|we)|In this (myth|passage|interpretation)|According to|One way of reading|A close variant|The idea|While|So too|Some say|There are many)/i.test(line) &&
+              COMMENTARY_START_PATTERN.test(line) &&
               !line.includes('"') &&
               !line.includes('"') &&
               !line.includes('said') &&
@@ -296,50 +819,105 @@ function parseSchwartzFile(content) {
     currentMyth.commentary = contentBuffer.filter(l => l.mode === 'commentary').map(l => l.text).join(' ');
     if (currentMyth.content.length > 50) {
       myths.push(currentMyth);
+    } else {
+      dropped.push(currentMyth);
     }
   }
 
   // Post-process myths
   return myths.map(myth => {
     const fullText = `${myth.title} ${myth.content} ${myth.commentary}`;
+    const citationText = `${fullText} ${myth.sources.join('; ')}`;
+    const content = cleanText(myth.content);
+    const commentary = cleanText(myth.commentary);
     return {
       ...myth,
-      content: cleanText(myth.content),
-      commentary: cleanText(myth.commentary),
-      biblicalReferences: extractBiblicalReferences(fullText),
-      themes: extractThemes(fullText),
-      sources: myth.sources.filter(s => s.length > 2)
+      content,
+      commentary,
+      biblicalReferences: extractBiblicalReferences(citationText),
+      rabbinicReferences: extractRabbinicReferences(citationText),
+      ...extractThemes({ title: myth.title, content, commentary }, context.themes),
+      figures: extractFigures(`${myth.title} ${content}`),
+      sources: myth.sources.filter(s => s.length > 2),
+      studies: myth.studies.map(parseStudy)
     };
   });
 }
 
-// Parse Ginzberg's Legends of the Jews
-function parseGinzbergFile(content, volume) {
+// Printed contents of a numbered anthology: BOOK headings, section titles
+// and numbered entries, each followed by its page number on the same line or
+// a later one. Until the page number is reached a title may run on. Books
+// are titled as in the text ("BOOK ONE: Myths Of God")
+// Returns [{ title, sections: [{ title, entries: [{ number, title }] }] }]
+function parseNumberedContents(content, source, context) {
+  const lines = content.split('\n').map(line => line.trim());
+  const isBook = line => /^BOOK\s+\S+\s/.test(line);
+  const books = [];
+  let entry = null; // the entry still waiting for its page number
+
+  const { start, lines: contentsLines } = findContentsLines(lines, source.contents, isBook);
+  contentsLines.forEach((rawLine, i) => {
+    // Running heads and Roman page numbers
+    if (!rawLine || /^([ivxlc]+\s+)?CONTENTS(\s+[ivxlc]+)?$/i.test(rawLine) || /^[ivxlc]+$/i.test(rawLine)) return;
+    if (/^\d+$/.test(rawLine)) {
+      entry = null;
+      return;
+    }
+    const line = fixOcrErrors(rawLine, context.ocr, { source: source.id, line: start + i + 1, id: null });
+
+    if (isBook(line)) {
+      // The page number, often misread, is the last word with a digit in it
+      const [, book, subtitle] = line.replace(/\s+\S*\d\S*$/, '').match(/^(BOOK\s+\S+)\s+(.+)$/);
+      const title = `${book}: ${subtitle.split(' ').map(w => w.charAt(0) + w.slice(1).toLowerCase()).join(' ')}`;
+      books.push({ title, sections: [] });
+      entry = null;
+      return;
+    }
+    const book = books[books.length - 1];
+
+    // Numbers may be split by a stray space ("15 7. The Heavenly Man 224")
+    const match = line.match(/^(\d[\d ]*)\.\s*(.+)$/) || line.match(/^(\d[\d ]*?)\s+\.\s*(.+)$/);
+    if (match) {
+      if (book.sections.length === 0) book.sections.push({ title: '', entries: [] });
+      const page = match[2].match(/\s+\d+$/);
+      entry = { number: parseInt(match[1].replace(/ /g, '')), title: match[2].replace(/\s+\d+$/, '') };
+      book.sections[book.sections.length - 1].entries.push(entry);
+      if (page) entry = null;
+    } else if (entry) {
+      const page = line.match(/\s+\d+$/);
+      entry.title += ` ${line.replace(/\s+\d+$/, '')}`;
+      if (page) entry = null;
+    } else {
+      book.sections.push({ title: line, entries: [] });
+    }
+  });
+
+  return books;
+}
+
+// Adapter for works divided into chapters headed by a Roman numeral and a
+// capitalised title, then capitalised section titles, as in Ginzberg's
+// Legends of the Jews. Footnote markers are pulled out of the text, with
+// their bodies read from source.notesFile when there is one
+function parseChapteredSections(content, source, context) {
   const myths = [];
+  const { ocr, dropped } = context;
+  const noteBodies = loadChapterNotes(context.basePath, source.notesFile);
 
   // Split into lines
   const lines = content.split('\n').map(line => line.trim());
 
   let currentChapter = '';
+  let chapterNumber = 0;
+  let sectionNumber = 0; // position within the chapter, counting dropped sections
   let currentMyth = null;
   let contentBuffer = [];
 
   // Find content start (after preface)
-  let contentStart = 0;
-  for (let i = 400; i < lines.length; i++) {
-    const line = lines[i].trim();
-    // Look for first chapter marker
-    if (line === 'I' || line === 'I.') {
-      const nextLine = lines[i + 1]?.trim().toUpperCase();
-      if (nextLine && (nextLine.includes('CREATION') || nextLine.includes('JOSEPH'))) {
-        contentStart = i;
-        break;
-      }
-    }
-    if (line === 'THE CREATION OF THE WORLD' || line === 'JOSEPH') {
-      contentStart = i - 1;
-      break;
-    }
+  const contentStart = findContentStart(lines, source.start);
+  if (contentStart === -1) {
+    console.log('  Warning: Could not find content start marker');
+    return myths;
   }
 
   console.log(`  Content starts at line ${contentStart}`);
@@ -353,6 +931,8 @@ function parseGinzbergFile(content, volume) {
     if (!line) continue;
     if (/^\d+$/.test(line)) continue;
 
+    line = fixOcrErrors(line, ocr, { source: source.id, line: i + 1, id: currentMyth ? currentMyth.id : null });
+
     // Detect chapter headers (Roman numerals)
     if (romanPattern.test(line)) {
       // Save current myth
@@ -360,14 +940,20 @@ function parseGinzbergFile(content, volume) {
         currentMyth.content = contentBuffer.join(' ');
         if (currentMyth.content.length > 100) {
           myths.push(currentMyth);
+        } else {
+          dropped.push(currentMyth);
         }
       }
 
+      attributeCorrections(ocr, { source: source.id, line: i + 1, id: null });
       const roman = line.replace('.', '').trim();
+      chapterNumber = romanToNumber(roman);
+      sectionNumber = 0;
       // Look for chapter title
       for (let j = i + 1; j < Math.min(i + 5, lines.length); j++) {
         const nextLine = lines[j].trim();
-        if (nextLine && nextLine === nextLine.toUpperCase() && nextLine.length > 3 && !romanPattern.test(nextLine)) {
+        // Titles can be as short as "JOB"; page numbers have no letters
+        if (/[A-Z]{2}/.test(nextLine) && nextLine === nextLine.toUpperCase() && !romanPattern.test(nextLine)) {
           currentChapter = `${roman}. ${nextLine.split(' ').map(w => w.charAt(0) + w.slice(1).toLowerCase()).join(' ')}`;
           i = j;
           break;
@@ -391,6 +977,8 @@ function parseGinzbergFile(content, volume) {
         currentMyth.content = contentBuffer.join(' ');
         if (currentMyth.content.length > 100) {
           myths.push(currentMyth);
+        } else {
+          dropped.push(currentMyth);
         }
       }
 
@@ -398,29 +986,32 @@ function parseGinzbergFile(content, volume) {
         w.charAt(0) + w.slice(1).toLowerCase()
       ).join(' ');
 
+      sectionNumber++;
       currentMyth = {
-        id: generateId(`v${volume}-${title}`, 'ginzberg'),
+        id: `${source.id}-${chapterNumber}-${sectionNumber}`,
+        slug: generateId(title, source.id),
         title: title,
         content: '',
         commentary: '',
         sources: [],
         book: currentChapter,
         section: '',
-        sourceWork: `ginzberg-v${volume}`,
+        sourceWork: source.id,
         biblicalReferences: [],
-        themes: []
+        rabbinicReferences: [],
+        themes: [],
+        themeScores: {},
+        figures: [],
+        notes: []
       };
+      attributeCorrections(ocr, { source: source.id, line: i + 1, id: currentMyth.id });
       contentBuffer = [];
       continue;
     }
 
-    // Accumulate content
+    // Accumulate content (footnote markers are kept until post-processing)
     if (currentMyth) {
-      // Remove footnote references [1], [2], etc.
-      line = line.replace(/\[\d+\]/g, '');
-      if (line) {
-        contentBuffer.push(line);
-      }
+      contentBuffer.push(line);
     }
   }
 
@@ -429,58 +1020,654 @@ function parseGinzbergFile(content, volume) {
     currentMyth.content = contentBuffer.join(' ');
     if (currentMyth.content.length > 100) {
       myths.push(currentMyth);
+    } else {
+      dropped.push(currentMyth);
     }
   }
 
   // Post-process myths
-  return myths.map(myth => ({
-    ...myth,
-    content: cleanText(myth.content),
-    biblicalReferences: extractBiblicalReferences(myth.content),
-    themes: extractThemes(myth.content)
-  }));
+  return myths.map(myth => {
+    const chapterNumeral = myth.book.split('.')[0];
+    const { text, notes } = extractFootnotes(cleanText(myth.content), noteBodies[chapterNumeral]);
+    return {
+      ...myth,
+      content: text,
+      notes,
+      biblicalReferences: extractBiblicalReferences(text),
+      rabbinicReferences: extractRabbinicReferences(text),
+      ...extractThemes({ title: myth.title, content: text }, context.themes),
+      figures: extractFigures(`${myth.title} ${text}`)
+    };
+  });
 }
 
+// Printed contents of a chaptered work: chapter headings ("I. THE CREATION
+// OF THE WORLD") each followed by the titles of its sections, which have no
+// numbers and no section headings of their own
+function parseChapteredContents(content, source, context) {
+  const lines = content.split('\n').map(line => line.trim());
+  const chapterPattern = /^([IVX]+)\.\s+(.+)$/;
+  const books = [];
+
+  const { start, lines: contentsLines } = findContentsLines(lines, source.contents, line => chapterPattern.test(line));
+  contentsLines.forEach((rawLine, i) => {
+    if (!rawLine) return;
+    const line = fixOcrErrors(rawLine, context.ocr, { source: source.id, line: start + i + 1, id: null });
+    const chapter = line.match(chapterPattern);
+    if (chapter) {
+      // Titled as in the text, so the chapter matches the myths' book
+      const title = chapter[2].split(' ').map(w => w.charAt(0) + w.slice(1).toLowerCase()).join(' ');
+      books.push({ title: `${chapter[1]}. ${title}`, sections: [{ title: '', entries: [] }] });
+    } else if (books.length > 0) {
+      books[books.length - 1].sections[0].entries.push({ title: line.replace(/\.$/, '') });
+    }
+  });
+
+  return books;
+}
+
+// Footnote bodies live in an optional companion file
+function loadChapterNotes(basePath, notesFile) {
+  const notesPath = notesFile && path.join(basePath, notesFile);
+  if (!notesPath || !fs.existsSync(notesPath)) {
+    console.log('  No notes file found, footnote bodies will be empty');
+    return {};
+  }
+  return parseChapterNotes(fs.readFileSync(notesPath, 'utf-8'));
+}
+
+// Source adapters, named by the adapter field of each sources.json entry
+// Each parses the text of one work into myths, and its printed table of
+// contents when the manifest entry gives source.contents:
+//   parse(content, source, { ocr, dropped, basePath })
+//   contents(content, source, { ocr })
+// where source is the manifest entry. A new work in an existing format
+// only needs a manifest entry; a new format needs an adapter here
+const SOURCE_ADAPTERS = {
+  'numbered-myths': { parse: parseNumberedMyths, contents: parseNumberedContents },
+  'chaptered-sections': { parse: parseChapteredSections, contents: parseChapteredContents }
+};
+
+// The table of contents of a source as printed, each entry linked to the
+// myth parsed for it, by number where the work numbers its myths and by
+// title otherwise. Entries with no myth are kept as gaps, with their printed
+// number and title. Myths the printed contents do not list go where they
+// fall in the text, or under their own book and section when there are no
+// printed contents. Listed myths take their book and section from the
+// printed contents: headings are missed in the text, and the section
+// headings met there are running heads
+// Returns [{ title, sections: [{ title, entries: [{ id } or { number, title }] }] }]
+function buildContents(printed, myths) {
+  const key = entry => entry.number ? `#${entry.number}` : entry.title.toLowerCase().replace(/[^a-z]/g, '');
+  // Titles can repeat, so each key lists its myths in text order
+  const positions = new Map();
+  myths.forEach((myth, i) => {
+    if (!positions.has(key(myth))) positions.set(key(myth), []);
+    positions.get(key(myth)).push(i);
+  });
+  const printedKeys = new Set(printed.flatMap(book => book.sections.flatMap(section => section.entries.map(key))));
+
+  const placed = new Set();
+  const place = (index, book, section) => {
+    const myth = myths[index];
+    myth.book = book.title;
+    if (section.title) myth.section = section.title;
+    section.entries.push({ id: myth.id });
+    placed.add(index);
+  };
+
+  let next = 0;
+  const books = printed.map(printedBook => {
+    const book = { title: printedBook.title, sections: [] };
+    printedBook.sections.forEach(printedSection => {
+      const section = { title: printedSection.title, entries: [] };
+      book.sections.push(section);
+      printedSection.entries.forEach(entry => {
+        const index = (positions.get(key(entry)) || []).find(i => !placed.has(i));
+        if (index === undefined) {
+          section.entries.push(entry.number ? { number: entry.number, title: entry.title } : { title: entry.title });
+          return;
+        }
+        for (; next < index; next++) {
+          if (!placed.has(next) && !printedKeys.has(key(myths[next]))) place(next, book, section);
+        }
+        next = Math.max(next, index + 1);
+        place(index, book, section);
+      });
+    });
+    return book;
+  });
+
+  myths.forEach((myth, index) => {
+    if (placed.has(index)) return;
+    let book = books.find(b => b.title === myth.book);
+    if (!book) {
+      book = { title: myth.book, sections: [] };
+      books.push(book);
+    }
+    let section = book.sections.find(s => s.title === myth.section);
+    if (!section) {
+      section = { title: myth.section, entries: [] };
+      book.sections.push(section);
+    }
+    place(index, book, section);
+  });
+
+  return books;
+}
+
+// Manifest fields the app needs; the rest only matter to the parser
+function describeSource(source) {
+  const { id, work, label, fullLabel, citation } = source;
+  return { id, work, label, fullLabel, citation };
+}
+
+// Parallels: how many to keep per myth, the minimum score to count as one,
+// and how the three similarity signals are weighted
+const MAX_PARALLELS = 5;
+const MIN_PARALLEL_SCORE = 0.08;
+const PARALLEL_WEIGHTS = { text: 0.5, references: 0.3, figures: 0.2 };
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// Words in the names of figures and biblical books that the stemmer would
+// turn into another word ("moses" into "mose"). Names such as "kings" and
+// "psalms" share their stem with common words in the texts, and stem like them
+function findStemExceptions(myths) {
+  const stemmedWords = new Map();
+  myths.forEach(myth => {
+    [myth.title, myth.content, myth.commentary].forEach(text => {
+      (text || '').toLowerCase().split(/[^a-z0-9]+/).forEach(word => {
+        const stemmed = stem(word);
+        if (!stemmedWords.has(stemmed)) stemmedWords.set(stemmed, new Set());
+        stemmedWords.get(stemmed).add(word);
+      });
+    });
+  });
+
+  const names = [...FIGURES, ...BIBLE_BOOKS].flatMap(entry => [entry.name, ...entry.aliases]);
+  const exceptions = new Set();
+  names.forEach(name => {
+    name.toLowerCase().split(/[^a-z0-9]+/).forEach(word => {
+      const stemmed = stem(word);
+      if (stemmed === word) return;
+      const others = [...(stemmedWords.get(stemmed) || [])].filter(other => other !== word);
+      if (others.length === 0) exceptions.add(word);
+    });
+  });
+  return [...exceptions].sort();
+}
+
+// Link each myth to the most similar myths from other works, scoring
+// TF-IDF text similarity, shared biblical chapters and shared figures
+// works maps each source id to its work, so volumes of one work are not paired
+function computeParallels(myths, works) {
+  const work = myth => works[myth.sourceWork];
+
+  const termVectors = myths.map(myth => {
+    const counts = new Map();
+    tokenize(`${myth.title} ${myth.content}`).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return counts;
+  });
+
+  const documentFrequency = new Map();
+  termVectors.forEach(vector => {
+    vector.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  // Normalized TF-IDF weights
+  const vectors = termVectors.map(counts => {
+    const weights = new Map();
+    let norm = 0;
+    counts.forEach((count, term) => {
+      const weight = (1 + Math.log(count)) * Math.log(myths.length / documentFrequency.get(term));
+      weights.set(term, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm) || 1;
+    weights.forEach((weight, term) => weights.set(term, weight / norm));
+    return weights;
+  });
+
+  const chapters = myths.map(myth => new Set(myth.biblicalReferences.map(ref => `${ref.book} ${ref.chapter}`)));
+  const figures = myths.map(myth => new Set(myth.figures));
+
+  const cosine = (a, b) => {
+    const [small, large] = a.size < b.size ? [a, b] : [b, a];
+    let sum = 0;
+    small.forEach((weight, term) => {
+      const other = large.get(term);
+      if (other) sum += weight * other;
+    });
+    return sum;
+  };
+
+  const candidates = myths.map(() => []);
+  for (let i = 0; i < myths.length; i++) {
+    for (let j = i + 1; j < myths.length; j++) {
+      if (work(myths[i]) === work(myths[j])) continue;
+
+      const score =
+        PARALLEL_WEIGHTS.text * cosine(vectors[i], vectors[j]) +
+        PARALLEL_WEIGHTS.references * jaccard(chapters[i], chapters[j]) +
+        PARALLEL_WEIGHTS.figures * jaccard(figures[i], figures[j]);
+
+      if (score >= MIN_PARALLEL_SCORE) {
+        candidates[i].push({ id: myths[j].id, score });
+        candidates[j].push({ id: myths[i].id, score });
+      }
+    }
+  }
+
+  myths.forEach((myth, index) => {
+    myth.parallels = candidates[index]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_PARALLELS)
+      .map(({ id, score }) => ({ id, score: Math.round(score * 1000) / 1000 }));
+  });
+}
+
+// Fields indexed for search, in the order their term frequencies are stored
+const INDEX_FIELDS = ['title', 'content', 'commentary', 'themes', 'studies'];
+
+function getIndexFieldText(myth, field) {
+  switch (field) {
+    case 'themes':
+      return myth.themes.join(' ');
+    case 'studies':
+      return (myth.studies || []).map(s => s.citation).join(' ');
+    default:
+      return myth[field] || '';
+  }
+}
+
+// The app starts from a compact catalog and fetches a myth's full text from
+// its shard, one per source and book, only when it is needed
+const TEXT_FIELDS = ['content', 'commentary', 'sources', 'studies', 'notes'];
+const EXCERPT_LENGTH = 200;
+
+// Split the database into the catalog (metadata, and for each myth everything
+// but its text plus an excerpt and the name of its shard) and the shards,
+// keyed by name, holding the text fields by myth id
+function buildCatalog(database) {
+  const shards = {};
+  const myths = database.myths.map(myth => {
+    const shard = generateId(myth.book || 'other', myth.sourceWork);
+    const entry = {};
+    const text = {};
+    Object.entries(myth).forEach(([field, value]) => {
+      if (TEXT_FIELDS.includes(field)) {
+        text[field] = value;
+      } else {
+        entry[field] = value;
+      }
+    });
+    entry.excerpt = myth.content.length > EXCERPT_LENGTH
+      ? myth.content.substring(0, EXCERPT_LENGTH) + '...'
+      : myth.content;
+    entry.shard = shard;
+
+    if (!shards[shard]) shards[shard] = {};
+    shards[shard][myth.id] = text;
+    return entry;
+  });
+
+  return { catalog: { metadata: database.metadata, myths }, shards };
+}
+
+// The database again from a published catalog and its shards, or null when
+// there is no catalog in dataDir
+function readPublishedBuild(dataDir) {
+  const catalogPath = path.join(dataDir, 'catalog.json');
+  if (!fs.existsSync(catalogPath)) return null;
+  const { metadata, myths } = JSON.parse(fs.readFileSync(catalogPath, 'utf-8'));
+  const shards = new Map();
+  return {
+    metadata,
+    myths: myths.map(({ excerpt, shard, ...myth }) => {
+      if (!shards.has(shard)) {
+        const shardPath = path.join(dataDir, 'text', `${shard}.json`);
+        shards.set(shard, fs.existsSync(shardPath) ? JSON.parse(fs.readFileSync(shardPath, 'utf-8')).myths : {});
+      }
+      return { ...myth, ...shards.get(shard)[myth.id] };
+    })
+  };
+}
+
+// Build an inverted index for BM25 ranking in the app
+// postings[term] is a flat list of [docIndex, tf per field...] groups
+function buildSearchIndex(myths) {
+  const postings = {};
+  const fieldLengths = {};
+  const totalLengths = {};
+  INDEX_FIELDS.forEach(field => {
+    fieldLengths[field] = [];
+    totalLengths[field] = 0;
+  });
+
+  myths.forEach((myth, docIndex) => {
+    const termCounts = {};
+
+    INDEX_FIELDS.forEach((field, fieldIndex) => {
+      const terms = tokenize(getIndexFieldText(myth, field));
+      fieldLengths[field].push(terms.length);
+      totalLengths[field] += terms.length;
+
+      terms.forEach(term => {
+        if (!termCounts[term]) termCounts[term] = new Array(INDEX_FIELDS.length).fill(0);
+        termCounts[term][fieldIndex]++;
+      });
+    });
+
+    for (const [term, counts] of Object.entries(termCounts)) {
+      if (!postings[term]) postings[term] = [];
+      postings[term].push(docIndex, ...counts);
+    }
+  });
+
+  const averageLengths = {};
+  INDEX_FIELDS.forEach(field => {
+    averageLengths[field] = myths.length ? totalLengths[field] / myths.length : 0;
+  });
+
+  return {
+    fields: INDEX_FIELDS,
+    ids: myths.map(myth => myth.id),
+    fieldLengths,
+    averageLengths,
+    postings
+  };
+}
+
+// QA checks
+// A section this many times longer than the median for its source has
+// probably run on past a heading the parser missed
+const LONG_SECTION_FACTOR = 4;
+
+// Runs of capitalised words left in body text: running heads, missed
+// section titles and the Gutenberg licence
+const EMBEDDED_HEADING_PATTERN = /\b[A-Z]{2,}(?:[ '][A-Z]{2,}){2,}\b/g;
+
+// Character patterns that rarely occur in clean text
+const OCR_SUSPECT_PATTERNS = [
+  { name: 'stray symbol', pattern: /[|~^_{}\\<>]/g },
+  { name: 'digit inside word', pattern: /\b[a-z]+\d+[a-z]*\b/gi },
+  { name: 'mixed case', pattern: /\b[a-z]+[A-Z]{2,}\w*/g }
+];
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Report anomalies in the parsed myths, plus the entries dropped for being too short
+// Each issue is { type, id, title, message }
+// sources are the manifest entries, for the checks that depend on the work;
+// renamedIds are the renames made by ensureUniqueIds
+function validateMyths(myths, dropped = [], sources = [], renamedIds = []) {
+  const issues = [];
+  const issue = (type, myth, message) => issues.push({ type, id: myth.id, title: myth.title, message });
+
+  // Ids that were made unique, and title slugs (kept as aliases) that were cut short
+  const byId = new Map(myths.map(myth => [myth.id, myth]));
+  renamedIds.forEach(({ from, to }) => {
+    issue('duplicate-id', byId.get(to), `Id ${from} was taken by an earlier entry, renamed to ${to}`);
+  });
+  myths.forEach(myth => {
+    if (generateId(myth.title, myth.sourceWork).length >= ID_MAX_LENGTH) {
+      issue('truncated-id', myth, `Title slug cut to ${ID_MAX_LENGTH} characters`);
+    }
+  });
+
+  // Some works follow every myth with commentary; one that has none but
+  // opens its commentary inside the myth text was not split
+  const expectCommentary = new Set(sources.filter(s => s.expectCommentary).map(s => s.id));
+  myths
+    .filter(myth => expectCommentary.has(myth.sourceWork) && !myth.commentary)
+    .forEach(myth => {
+      const match = myth.content.match(COMMENTARY_INSIDE_PATTERN);
+      if (match) {
+        const start = match.index + 2;
+        issue('missing-commentary', myth, `Commentary seems to start inside the myth text: "${myth.content.slice(start, start + 60)}..."`);
+      }
+    });
+
+  // Sections that probably swallowed a heading
+  const medians = {};
+  new Set(myths.map(myth => myth.sourceWork)).forEach(source => {
+    medians[source] = median(myths.filter(m => m.sourceWork === source).map(m => m.content.length));
+  });
+  myths.forEach(myth => {
+    const limit = medians[myth.sourceWork] * LONG_SECTION_FACTOR;
+    if (myth.content.length > limit) {
+      issue('long-section', myth, `Content is ${myth.content.length} characters, over ${LONG_SECTION_FACTOR}x the ${myth.sourceWork} median`);
+    }
+    const headings = `${myth.content} ${myth.commentary}`.match(EMBEDDED_HEADING_PATTERN);
+    if (headings) {
+      issue('embedded-heading', myth, `Capitalised text in body: ${[...new Set(headings)].slice(0, 3).map(h => `"${h}"`).join(', ')}`);
+    }
+  });
+
+  // Residual OCR garbage
+  myths.forEach(myth => {
+    const text = `${myth.title} ${myth.content} ${myth.commentary}`;
+    const found = OCR_SUSPECT_PATTERNS
+      .map(({ name, pattern }) => ({ name, matches: text.match(pattern) || [] }))
+      .filter(({ matches }) => matches.length > 0);
+    if (found.length > 0) {
+      issue('ocr-suspect', myth, found.map(({ name, matches }) =>
+        `${name}: ${[...new Set(matches)].slice(0, 3).map(m => `"${m}"`).join(', ')}`
+      ).join('; '));
+    }
+  });
+
+  // Gaps and repeats in myth numbering
+  const numbered = myths.filter(myth => myth.number);
+  numbered.forEach((myth, i) => {
+    const previous = numbered[i - 1];
+    if (!previous) return;
+    if (myth.number === previous.number) {
+      issue('number-repeat', myth, `Myth #${myth.number} appears more than once`);
+    } else if (myth.number < previous.number) {
+      issue('number-order', myth, `Myth #${myth.number} follows #${previous.number}`);
+    } else if (myth.number > previous.number + 1) {
+      const missing = myth.number - previous.number - 1;
+      issue('number-gap', myth, `${missing} myth${missing > 1 ? 's' : ''} missing between #${previous.number} and #${myth.number}`);
+    }
+  });
+
+  dropped.forEach(myth => {
+    issue('dropped', myth, `Dropped with only ${myth.content.length} characters of content`);
+  });
+
+  const counts = {};
+  issues.forEach(({ type }) => { counts[type] = (counts[type] || 0) + 1; });
+  return { counts, issues };
+}
+
+// Fields compared between builds; text fields also report where they diverge
+const DIFF_FIELDS = ['title', 'number', 'book', 'section', 'content', 'commentary', 'sources', 'themes', 'figures'];
+const DIFF_TEXT_FIELDS = new Set(['content', 'commentary']);
+const DIFF_CONTEXT = 60;
+
+// Where two versions of a text first differ, with a little context from each
+function describeTextChange(before, after) {
+  let start = 0;
+  while (start < before.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (end < before.length - start && end < after.length - start &&
+         before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+  return {
+    lengthBefore: before.length,
+    lengthAfter: after.length,
+    offset: start,
+    removed: before.slice(start, before.length - end).slice(0, DIFF_CONTEXT * 2),
+    added: after.slice(start, after.length - end).slice(0, DIFF_CONTEXT * 2),
+    context: after.slice(Math.max(0, start - DIFF_CONTEXT), start)
+  };
+}
+
+// Compare two builds by id. Entries whose id changed but whose content did
+// not are reported as renamed rather than removed and added
+function diffMyths(previous, current) {
+  const previousById = new Map(previous.map(myth => [myth.id, myth]));
+  const currentById = new Map(current.map(myth => [myth.id, myth]));
+
+  let removed = previous.filter(myth => !currentById.has(myth.id));
+  let added = current.filter(myth => !previousById.has(myth.id));
+
+  const renamed = [];
+  const addedByContent = new Map(added.map(myth => [myth.content, myth]));
+  removed.forEach(myth => {
+    const match = addedByContent.get(myth.content);
+    if (match) {
+      renamed.push({ from: myth.id, to: match.id, title: match.title });
+      addedByContent.delete(myth.content);
+    }
+  });
+  const renamedIds = new Set(renamed.flatMap(({ from, to }) => [from, to]));
+  removed = removed.filter(myth => !renamedIds.has(myth.id));
+  added = added.filter(myth => !renamedIds.has(myth.id));
+
+  const changed = [];
+  current.forEach(myth => {
+    const before = previousById.get(myth.id);
+    if (!before) return;
+    const fields = {};
+    DIFF_FIELDS.forEach(field => {
+      const a = before[field] ?? '';
+      const b = myth[field] ?? '';
+      if (JSON.stringify(a) === JSON.stringify(b)) return;
+      fields[field] = DIFF_TEXT_FIELDS.has(field) ? describeTextChange(a, b) : { before: a, after: b };
+    });
+    if (Object.keys(fields).length > 0) changed.push({ id: myth.id, title: myth.title, fields });
+  });
+
+  const summary = myth => ({ id: myth.id, title: myth.title, sourceWork: myth.sourceWork, length: myth.content.length });
+  return {
+    added: added.map(summary),
+    removed: removed.map(summary),
+    renamed,
+    changed
+  };
+}
+
+// The full database is written outside data/, which holds only what the app
+// loads, and kept out of git; it is what the next build is compared with
+const BUILD_PATH = path.join('build', 'myths.json');
+
 // Main execution
+// Options:
+//   --diff <file>  compare against this build instead of the last one in build/myths.json
+//   --verbose      print every QA issue and changed entry, not just the counts
 async function main() {
   console.log('Parsing Jewish Mythology texts...\n');
 
   const basePath = path.dirname(__filename);
-
-  // Parse Schwartz
-  console.log('Parsing Schwartz - Tree of Souls...');
-  const schwartzPath = path.join(basePath, 'schwartz-tree-of-souls.txt');
-  const schwartzContent = fs.readFileSync(schwartzPath, 'utf-8');
-  const schwartzMyths = parseSchwartzFile(schwartzContent);
-  console.log(`  Found ${schwartzMyths.length} myths`);
-
-  // Parse Ginzberg Volume 1
-  console.log('\nParsing Ginzberg - Legends of the Jews, Volume 1...');
-  const ginzberg1Path = path.join(basePath, 'ginzburg-legendofthejews-volume1.txt');
-  const ginzberg1Content = fs.readFileSync(ginzberg1Path, 'utf-8');
-  const ginzberg1Myths = parseGinzbergFile(ginzberg1Content, 1);
-  console.log(`  Found ${ginzberg1Myths.length} sections`);
-
-  // Parse Ginzberg Volume 2
-  console.log('\nParsing Ginzberg - Legends of the Jews, Volume 2...');
-  const ginzberg2Path = path.join(basePath, 'ginzburg-legendofthejews-volume2.txt');
-  const ginzberg2Content = fs.readFileSync(ginzberg2Path, 'utf-8');
-  const ginzberg2Myths = parseGinzbergFile(ginzberg2Content, 2);
-  console.log(`  Found ${ginzberg2Myths.length} sections`);
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const diffIndex = args.indexOf('--diff');
+  const previousPath = diffIndex !== -1 && args[diffIndex + 1]
+    ? path.resolve(args[diffIndex + 1])
+    : path.join(basePath, BUILD_PATH);
+
+  // Read the previous build before it is overwritten. Without a local one, as
+  // in a fresh checkout, the published data stands in for it
+  let previousBuild = null;
+  let comparedWith = null;
+  if (fs.existsSync(previousPath)) {
+    previousBuild = JSON.parse(fs.readFileSync(previousPath, 'utf-8'));
+    comparedWith = path.relative(basePath, previousPath);
+  } else if (diffIndex === -1) {
+    previousBuild = readPublishedBuild(path.join(basePath, 'data'));
+    comparedWith = previousBuild && path.join('data', 'catalog.json');
+  }
+  const previousMyths = previousBuild ? previousBuild.myths : null;
+  const dropped = [];
+
+  // Works to parse, and how, come from the manifest
+  const { sources: manifest } = JSON.parse(fs.readFileSync(path.join(basePath, 'sources.json'), 'utf-8'));
+  const sources = manifest.filter(source => {
+    if (!SOURCE_ADAPTERS[source.adapter]) {
+      console.log(`Skipping ${source.id}: unknown adapter "${source.adapter}"`);
+      return false;
+    }
+    if (!fs.existsSync(path.join(basePath, source.file))) {
+      console.log(`Skipping ${source.id}: ${source.file} not found`);
+      return false;
+    }
+    return true;
+  });
+  const contents = sources.map(source => fs.readFileSync(path.join(basePath, source.file), 'utf-8'));
+
+  // The dictionary for rejoining split words comes from all the texts
+  console.log('Loading OCR corrections...');
+  const ocr = loadOcrCorrections(basePath, contents);
+  console.log(`  ${ocr.rules.length} rules, ${ocr.dictionary.size} dictionary words`);
+
+  console.log('Loading themes...');
+  const themes = loadThemes(basePath);
+  console.log(`  ${themes.keywordThemes.size} keywords`);
+
+  const mythsBySource = {};
+  sources.forEach((source, i) => {
+    console.log(`\nParsing ${source.fullLabel}...`);
+    const corrections = ocr.log.length;
+    mythsBySource[source.id] = SOURCE_ADAPTERS[source.adapter].parse(contents[i], source, { ocr, themes, dropped, basePath });
+    console.log(`  Found ${mythsBySource[source.id].length} entries, ${ocr.log.length - corrections} OCR corrections`);
+  });
 
   // Combine all myths
-  const allMyths = [...schwartzMyths, ...ginzberg1Myths, ...ginzberg2Myths];
+  const allMyths = sources.flatMap(source => mythsBySource[source.id]);
+
+  // Ids come from position in the source; old ids resolve through aliases
+  const renamedIds = ensureUniqueIds(allMyths);
+
+  // Corrections made in entries that were dropped have no myth to point to
+  const mythIds = new Set(allMyths.map(myth => myth.id));
+  ocr.log.forEach(entry => {
+    if (entry.id && !mythIds.has(entry.id)) delete entry.id;
+  });
+
+  console.log('\nReading the printed contents...');
+  const contentsBySource = sources.map((source, i) => {
+    const adapter = SOURCE_ADAPTERS[source.adapter];
+    const printed = source.contents && adapter.contents ? adapter.contents(contents[i], source, { ocr }) : [];
+    const books = buildContents(printed, mythsBySource[source.id]);
+    const gaps = books.flatMap(book => book.sections.flatMap(section => section.entries)).filter(entry => !entry.id);
+    console.log(`  ${source.id}: ${books.length} books, ${gaps.length} listed entries not found`);
+    return { source: source.id, books };
+  });
+
+  const diff = previousMyths ? diffMyths(previousMyths, allMyths) : null;
+  const aliases = buildAliases(allMyths, previousBuild?.metadata.aliases, diff ? diff.renamed : []);
+  allMyths.forEach(myth => delete myth.slug);
+  console.log(`\n${Object.keys(aliases).length} old ids kept as aliases`);
+
+  // Names are stemmed the same way in the index and in the app
+  const stemExceptions = findStemExceptions(allMyths);
+  addStemExceptions(stemExceptions);
+  console.log(`\n${stemExceptions.length} names kept from the stemmer`);
+
+  console.log('\nFinding parallels between sources...');
+  computeParallels(allMyths, Object.fromEntries(sources.map(source => [source.id, source.work])));
+  console.log(`  ${allMyths.filter(myth => myth.parallels.length > 0).length} entries have parallels`);
 
   // Create summary statistics
   const stats = {
     total: allMyths.length,
-    bySources: {
-      schwartz: schwartzMyths.length,
-      'ginzberg-v1': ginzberg1Myths.length,
-      'ginzberg-v2': ginzberg2Myths.length
-    },
+    bySources: Object.fromEntries(sources.map(source => [source.id, mythsBySource[source.id].length])),
     themes: {},
-    books: {}
+    books: {},
+    figures: {}
   };
 
   allMyths.forEach(myth => {
@@ -490,11 +1677,14 @@ async function main() {
     if (myth.book) {
       stats.books[myth.book] = (stats.books[myth.book] || 0) + 1;
     }
+    myth.figures.forEach(figure => {
+      stats.figures[figure] = (stats.figures[figure] || 0) + 1;
+    });
   });
 
   // Build filter options
   const filterOptions = {
-    sources: ['schwartz', 'ginzberg-v1', 'ginzberg-v2'],
+    sources: sources.map(source => source.id),
     themes: Object.keys(stats.themes).sort((a, b) => stats.themes[b] - stats.themes[a]),
     books: Object.keys(stats.books).sort()
   };
@@ -505,12 +1695,21 @@ async function main() {
       generated: new Date().toISOString(),
       version: '1.0.0',
       stats,
-      filterOptions
+      filterOptions,
+      sources: sources.map(describeSource),
+      themes: themes.tree,
+      bibleBooks: BIBLE_BOOKS,
+      figures: FIGURES,
+      stemExceptions,
+      contents: contentsBySource,
+      aliases
     },
     myths: allMyths
   };
 
-  const outputPath = path.join(basePath, 'data', 'myths.json');
+  const outputPath = path.join(basePath, BUILD_PATH);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(database, null, 2));
 
   // Create data directory if it doesn't exist
   const dataDir = path.join(basePath, 'data');
@@ -518,7 +1717,44 @@ async function main() {
     fs.mkdirSync(dataDir);
   }
 
-  fs.writeFileSync(outputPath, JSON.stringify(database, null, 2));
+  // The index is only read by the app, so it is written without indentation
+  const searchIndex = buildSearchIndex(allMyths);
+  const indexPath = path.join(dataDir, 'search-index.json');
+  fs.writeFileSync(indexPath, JSON.stringify({ generated: database.metadata.generated, ...searchIndex }));
+
+  // So are the catalog and text shards. Shards from an earlier build are
+  // removed first, as books may have been renamed
+  const { catalog, shards } = buildCatalog(database);
+  const catalogPath = path.join(dataDir, 'catalog.json');
+  fs.writeFileSync(catalogPath, JSON.stringify(catalog));
+
+  const textDir = path.join(dataDir, 'text');
+  if (fs.existsSync(textDir)) {
+    fs.readdirSync(textDir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => fs.unlinkSync(path.join(textDir, file)));
+  } else {
+    fs.mkdirSync(textDir);
+  }
+  Object.entries(shards).forEach(([name, myths]) => {
+    fs.writeFileSync(path.join(textDir, `${name}.json`), JSON.stringify({ generated: database.metadata.generated, myths }));
+  });
+
+  // QA report and diff against the previous build
+  const qa = validateMyths(allMyths, dropped, sources, renamedIds);
+  const ocrLogPath = path.join(dataDir, 'ocr-log.json');
+  fs.writeFileSync(ocrLogPath, JSON.stringify({
+    generated: database.metadata.generated,
+    corrections: ocr.log
+  }, null, 2));
+
+  const reportPath = path.join(dataDir, 'qa-report.json');
+  fs.writeFileSync(reportPath, JSON.stringify({
+    generated: database.metadata.generated,
+    comparedWith,
+    ...qa,
+    diff
+  }, null, 2));
 
   console.log('\n=== Summary ===');
   console.log(`Total myths/sections: ${stats.total}`);
@@ -535,7 +1771,47 @@ async function main() {
     });
 
   console.log(`\nBooks/Chapters found: ${Object.keys(stats.books).length}`);
+  console.log(`\nIndexed terms: ${Object.keys(searchIndex.postings).length}`);
+
+  console.log('\n=== OCR corrections ===');
+  const correctionCounts = {};
+  ocr.log.forEach(({ rule }) => { correctionCounts[rule] = (correctionCounts[rule] || 0) + 1; });
+  Object.entries(correctionCounts).forEach(([rule, count]) => {
+    console.log(`  ${rule}: ${count}`);
+  });
+
+  console.log('\n=== QA ===');
+  Object.entries(qa.counts).forEach(([type, count]) => {
+    console.log(`  ${type}: ${count}`);
+  });
+  if (verbose) {
+    qa.issues.forEach(({ type, id, message }) => console.log(`  [${type}] ${id}: ${message}`));
+  }
+
+  if (diff) {
+    console.log(`\n=== Changes since ${path.relative(basePath, previousPath)} ===`);
+    console.log(`  Added: ${diff.added.length}, removed: ${diff.removed.length}, renamed: ${diff.renamed.length}, changed: ${diff.changed.length}`);
+    // Removed entries are always listed; losing myths is what the diff is for
+    diff.removed.forEach(({ id, length }) => console.log(`  - ${id} (${length} characters)`));
+    if (verbose) {
+      diff.added.forEach(({ id, length }) => console.log(`  + ${id} (${length} characters)`));
+      diff.renamed.forEach(({ from, to }) => console.log(`  ~ ${from} -> ${to}`));
+      diff.changed.forEach(({ id, fields }) => {
+        console.log(`  * ${id}`);
+        Object.entries(fields).forEach(([field, change]) => {
+          console.log(DIFF_TEXT_FIELDS.has(field)
+            ? `      ${field}: ${change.lengthBefore} -> ${change.lengthAfter} characters at ${change.offset}, "${change.removed}" -> "${change.added}"`
+            : `      ${field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`);
+        });
+      });
+    }
+  }
+
   console.log(`\nOutput written to: ${outputPath}`);
+  console.log(`Search index written to: ${indexPath}`);
+  console.log(`Catalog written to: ${catalogPath}, text to ${Object.keys(shards).length} shards in ${textDir}`);
+  console.log(`OCR log written to: ${ocrLogPath}`);
+  console.log(`QA report written to: ${reportPath}`);
 }
 
 main().catch(console.error);
@@ -0,0 +1,738 @@
+/**
+ * Search worker
+ * Holds the myths and the search index off the main thread and answers
+ * query messages from app.js with the ids and scores for one page of results,
+ * so typing stays responsive while a search runs. The catalog comes from
+ * app.js; the search index and text shards are fetched when a query first
+ * needs them
+ */
+
+importScripts('text-search.js');
+
+// Snippets are up to SNIPPET_WINDOWS passages of about SNIPPET_LENGTH
+// characters, each starting a little before its first match
+const SNIPPET_LENGTH = 200;
+const SNIPPET_WINDOWS = 2;
+const SNIPPET_LEAD = 40;
+
+// Search ranking parameters
+const SEARCH_FIELD_WEIGHTS = { title: 4, content: 1, commentary: 0.8, themes: 2, studies: 0.5 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const FUZZY_MATCH_WEIGHT = 0.5;
+
+// Field prefixes understood by the search query language, and those of them
+// matched against the catalog rather than the search index
+const QUERY_FIELDS = ['title', 'content', 'commentary', 'studies', 'theme', 'ref', 'source', 'note'];
+const CATALOG_FIELDS = ['theme', 'ref', 'source', 'note'];
+
+const state = {
+  myths: [],
+  metadata: null,
+  mythsById: new Map(),
+  searchIndex: null,
+  searchIndexLoad: null,
+  searchTerms: [],
+  bibleBookLookup: new Map(),
+  themesById: new Map(),
+  textShards: new Map(),
+  annotations: {},
+  matchedVariants: new Map(),
+  // Index terms and phrases of the current query, to highlight
+  highlight: null,
+  // The full ordered results of the last query, reused when only the page changes
+  lastResults: null
+};
+
+// Messages from app.js:
+//   { type: 'catalog', catalog } once, before any query is answered
+//   { type: 'query', id, query, scope, source, themes, minThemeConfidence,
+//     book, section, collection, passage, sortBy, offset, limit }
+//       collection is the ordered myth ids of the selected collection or null;
+//       limit is null for every result
+//   { type: 'locate', id, mythId, ...the query fields but offset and limit }
+//   { type: 'annotations', annotations }
+// Replies are { type: 'results', id, total, passageValid, textMissing,
+// highlight, results } with highlight as { terms, phrases }, textMissing set
+// when text the search needed failed to load, and results as
+// [{ id, score, matchedVariants, snippet }],
+// { type: 'location', id, mythId, index, total, previous, next } with index -1
+// when the myth is not among the results, or { type: 'error', id, message }.
+// snippet, given for a search, is { field, text, highlights } or null
+let catalogReceived;
+const ready = new Promise(resolve => { catalogReceived = resolve; });
+
+let pendingQuery = null;
+let latestQueryId = null;
+
+self.addEventListener('message', (e) => {
+  const message = e.data;
+  if (message.type === 'catalog') {
+    loadCatalog(message.catalog);
+    catalogReceived();
+  } else if (message.type === 'annotations') {
+    state.annotations = message.annotations;
+    state.lastResults = null;
+  } else if (message.type === 'query') {
+    // Queries wait a turn before running, and one that arrives in the
+    // meantime replaces the one waiting, so superseded queries are dropped
+    const scheduled = pendingQuery !== null;
+    pendingQuery = message;
+    latestQueryId = message.id;
+    if (!scheduled) setTimeout(runPendingQuery, 0);
+  } else if (message.type === 'locate') {
+    locateMyth(message).catch(error => replyError(message.id, error));
+  }
+});
+
+// A query that cannot be answered still gets a reply, so the page is not
+// left waiting on it
+function replyError(id, error) {
+  self.postMessage({ type: 'error', id, message: error.message });
+}
+
+function loadCatalog(catalog) {
+  state.myths = catalog.myths;
+  state.metadata = catalog.metadata;
+  state.mythsById = new Map(state.myths.map(myth => [myth.id, myth]));
+  TextSearch.addStemExceptions(state.metadata.stemExceptions || []);
+  state.metadata.bibleBooks.forEach(book => {
+    [book.name, ...book.aliases].forEach(alias => state.bibleBookLookup.set(alias.toLowerCase(), book.name));
+  });
+  indexThemes(state.metadata.themes || []);
+}
+
+// Data files of the build the catalog belongs to, which the service worker
+// keeps while pages use it
+function getDataUrl(file) {
+  const build = `${state.metadata.version}-${state.metadata.generated}`;
+  return `data/${file}?build=${encodeURIComponent(build)}`;
+}
+
+// The search index is fetched the first time a query searches the text
+function loadSearchIndex() {
+  if (!state.searchIndexLoad) {
+    state.searchIndexLoad = fetch(getDataUrl('search-index.json'))
+      .then(response => {
+        if (!response.ok) throw new Error('Failed to load search index');
+        return response.json();
+      })
+      .then(index => {
+        state.searchIndex = index;
+        state.searchTerms = Object.keys(index.postings);
+      })
+      .catch(error => {
+        state.searchIndexLoad = null;
+        throw error;
+      });
+  }
+  return state.searchIndexLoad;
+}
+
+function runPendingQuery() {
+  const request = pendingQuery;
+  pendingQuery = null;
+  answerQuery(request).catch(error => replyError(request.id, error));
+}
+
+async function answerQuery(request) {
+  await ready;
+  if (request.id !== latestQueryId) return;
+
+  let textLoaded = await loadQueryData(request);
+  if (request.id !== latestQueryId) return;
+
+  const passage = request.passage ? parseReferenceQuery(request.passage.toLowerCase()) : null;
+  const { results, highlight } = getResults(request, passage, textLoaded);
+  const end = request.limit === null ? results.length : request.offset + request.limit;
+  let page = results.slice(request.offset, end);
+
+  // Cards for a search show the passages that matched, from the page's text
+  if (request.limit !== null && (highlight.terms.size > 0 || highlight.phrases.length > 0)) {
+    const myths = page.map(result => state.mythsById.get(result.id));
+    textLoaded = await loadText(myths).then(() => textLoaded, reportTextError);
+    if (request.id !== latestQueryId) return;
+    page = page.map((result, i) => ({
+      ...result,
+      matchedVariants: getMatchedWords(myths[i], result.matchedVariants),
+      snippet: getSnippet(myths[i], highlight)
+    }));
+  }
+
+  self.postMessage({
+    type: 'results',
+    id: request.id,
+    total: results.length,
+    passageValid: !request.passage || passage !== null,
+    textMissing: !textLoaded,
+    highlight: { terms: [...highlight.terms], phrases: highlight.phrases },
+    results: page
+  });
+}
+
+// Where a myth stands among the results of a query, with the myths either side
+async function locateMyth(request) {
+  await ready;
+  const textLoaded = await loadQueryData(request);
+  const passage = request.passage ? parseReferenceQuery(request.passage.toLowerCase()) : null;
+  const { results } = getResults(request, passage, textLoaded);
+  const index = results.findIndex(result => result.id === request.mythId);
+
+  self.postMessage({
+    type: 'location',
+    id: request.id,
+    mythId: request.mythId,
+    index,
+    total: results.length,
+    previous: index > 0 ? results[index - 1].id : null,
+    next: index !== -1 && index < results.length - 1 ? results[index + 1].id : null
+  });
+}
+
+// Filters and browsing are answered from the catalog alone. A text search
+// needs the search index, and a phrase the text of the myths the index finds
+// all its words in, which are the only ones it is looked for in verbatim.
+// Resolves false when some of that text could not be loaded
+async function loadQueryData(request) {
+  const terms = parseSearchQuery(request.query).flat().filter(term => !CATALOG_FIELDS.includes(term.field));
+  if (terms.length === 0) return true;
+  await loadSearchIndex();
+
+  const ids = new Set();
+  terms.filter(term => term.phrase).forEach(term => {
+    const fields = term.field ? [term.field] : getDefaultFields(request.scope);
+    const candidates = searchIndex(term.value, fields);
+    if (candidates) candidates.forEach((_, id) => ids.add(id));
+  });
+  if (ids.size === 0) return true;
+  const myths = [...ids].map(id => state.mythsById.get(id));
+  return loadText(myths).then(() => true, reportTextError);
+}
+
+function reportTextError(error) {
+  console.error('Failed to load text:', error);
+  return false;
+}
+
+// The catalog leaves out the text fields; these come from the shards
+function loadText(myths) {
+  const shards = [...new Set(myths.filter(myth => typeof myth.content !== 'string').map(myth => myth.shard))];
+  return Promise.all(shards.map(name => {
+    if (!state.textShards.has(name)) {
+      state.textShards.set(name, fetch(getDataUrl(`text/${name}.json`))
+        .then(response => {
+          if (!response.ok) throw new Error(`Failed to load text shard ${name}`);
+          return response.json();
+        })
+        .then(shard => {
+          Object.entries(shard.myths).forEach(([id, text]) => Object.assign(state.mythsById.get(id), text));
+        })
+        .catch(error => {
+          state.textShards.delete(name);
+          throw error;
+        }));
+    }
+    return state.textShards.get(name);
+  }));
+}
+
+// The ordered results for a request, with the terms to highlight, from the
+// last query when only the page has changed. Results worked out without
+// some of the text they need are not kept, so the next page tries again
+function getResults(request, passage, cache = true) {
+  const { type, id, mythId, offset, limit, ...query } = request;
+  const key = JSON.stringify(query);
+  if (state.lastResults && state.lastResults.key === key) return state.lastResults;
+
+  let results = state.myths;
+
+  // Search filter
+  state.matchedVariants = new Map();
+  state.highlight = { terms: new Set(), phrases: [] };
+  const searchScores = query.query
+    ? evaluateSearchQuery(parseSearchQuery(query.query), query.scope)
+    : null;
+  if (searchScores) {
+    results = results.filter(myth => searchScores.has(myth.id));
+  }
+
+  // Source filter
+  if (query.source !== 'all') {
+    results = results.filter(myth => myth.sourceWork === query.source);
+  }
+
+  // Theme filter, counting only themes scored at least the minimum confidence.
+  // A parent theme includes its sub-themes
+  const themes = expandThemes(query.themes);
+  if (themes.length > 0) {
+    results = results.filter(myth =>
+      themes.some(theme => getThemeScore(myth, theme) * 100 >= query.minThemeConfidence)
+    );
+  }
+
+  // Book and section filters
+  if (query.book !== 'all') {
+    results = results.filter(myth => myth.book === query.book);
+  }
+  if (query.section) {
+    results = results.filter(myth => myth.section === query.section);
+  }
+
+  // Collection filter
+  if (query.collection) {
+    const collection = new Set(query.collection);
+    results = results.filter(myth => collection.has(myth.id));
+  }
+
+  // Passage filter
+  if (passage) {
+    results = results.filter(myth => mythCitesPassage(myth, passage));
+  }
+
+  const scores = searchScores || new Map();
+  const sorted = sortResults(results.map(myth => ({
+    myth,
+    id: myth.id,
+    score: scores.get(myth.id) || 0,
+    matchedVariants: [...(state.matchedVariants.get(myth.id) || [])]
+  })), query, themes).map(({ myth, ...result }) => result);
+
+  const answer = { key, results: sorted, highlight: state.highlight };
+  if (cache) state.lastResults = answer;
+  return answer;
+}
+
+// Matched variants are stemmed index terms ("creat"); cards show them as the
+// myth spells them, else as the variant list does
+function getMatchedWords(myth, terms) {
+  const words = terms.map(term => {
+    for (const text of [myth.title, myth.content, myth.commentary]) {
+      const [match] = TextSearch.findMatches(text, [term]);
+      if (match) return text.slice(match[0], match[1]);
+    }
+    return TextSearch.getVariantSpelling(term) || term;
+  });
+  return [...new Map(words.map(word => [word.toLowerCase(), word])).values()];
+}
+
+// The best passage of a myth's content, or failing that its commentary, for
+// the highlighted terms, or null when neither matches. highlights are
+// [start, end] ranges into text
+function getSnippet(myth, highlight) {
+  for (const field of ['content', 'commentary']) {
+    const text = myth[field] || '';
+    const matches = TextSearch.findMatches(text, highlight.terms, highlight.phrases);
+    if (matches.length === 0) continue;
+
+    // Windows with the most different matched words, then the most matches
+    const windows = [];
+    let remaining = matches;
+    while (windows.length < SNIPPET_WINDOWS && remaining.length > 0) {
+      let best = null;
+      remaining.forEach(([start]) => {
+        const from = Math.max(0, start - SNIPPET_LEAD);
+        const to = Math.min(text.length, from + SNIPPET_LENGTH);
+        const inside = remaining.filter(([s, e]) => s >= from && e <= to);
+        const words = new Set(inside.map(([s, e]) => text.slice(s, e).toLowerCase()));
+        const score = words.size * 100 + inside.length;
+        if (!best || score > best.score) best = { from, to, score };
+      });
+      windows.push(best);
+      remaining = remaining.filter(([s, e]) => e <= best.from || s >= best.to);
+    }
+    windows.sort((a, b) => a.from - b.from);
+
+    // Cut at word boundaries, without losing a match
+    let snippet = '';
+    const highlights = [];
+    windows.forEach(({ from, to }, i) => {
+      const inWindow = matches.filter(([s, e]) => s >= from && e <= to);
+      if (from > 0) {
+        const space = text.indexOf(' ', from);
+        if (space !== -1 && space < inWindow[0][0]) from = space + 1;
+      }
+      if (to < text.length) {
+        const space = text.lastIndexOf(' ', to);
+        if (space > inWindow[inWindow.length - 1][1]) to = space;
+      }
+      if (from > 0 || i > 0) snippet += i > 0 ? ' ... ' : '...';
+      inWindow.forEach(([s, e]) => highlights.push([snippet.length + s - from, snippet.length + e - from]));
+      snippet += text.slice(from, to);
+      if (i === windows.length - 1 && to < text.length) snippet += '...';
+    });
+
+    return { field, text: snippet, highlights };
+  }
+  return null;
+}
+
+// Parse the search box into OR-ed clauses of AND-ed terms
+// Supports "quoted phrases", AND / OR / NOT, -negation and field prefixes
+// such as title:, theme:, ref:Genesis 2, source:schwartz, commentary: and note:
+function parseSearchQuery(input) {
+  const clauses = [[]];
+  const pattern = /(-)?(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  let negateNext = false;
+  let lastTerm = null;
+  let match;
+
+  while ((match = pattern.exec(input)) !== null) {
+    const [, minus, prefix, phrase, word] = match;
+    lastTerm = null;
+    const isPhrase = phrase !== undefined;
+
+    if (!minus && !prefix && !isPhrase) {
+      if (word === 'OR') {
+        clauses.push([]);
+        continue;
+      }
+      if (word === 'AND') continue;
+      if (word === 'NOT') {
+        negateNext = true;
+        continue;
+      }
+    }
+
+    const field = prefix && QUERY_FIELDS.includes(prefix.toLowerCase()) ? prefix.toLowerCase() : null;
+    let value = isPhrase ? phrase : word;
+    if (prefix && !field) value = `${prefix}:${value}`;
+
+    // Absorb a following chapter/verse, as in ref:Genesis 2 or ref:Gen 6:1-4
+    if (field === 'ref' && !isPhrase) {
+      const chapter = input.slice(pattern.lastIndex).match(/^\s+(\d+(?:[:.]\d+)?(?:[-–]\d+)?)(?=\s|$)/);
+      if (chapter) {
+        value += ` ${chapter[1]}`;
+        pattern.lastIndex += chapter[0].length;
+      }
+    }
+
+    value = value.trim().toLowerCase();
+    if (!value) continue;
+
+    lastTerm = {
+      field,
+      value,
+      phrase: isPhrase,
+      negated: Boolean(minus) || negateNext,
+      prefix: false
+    };
+    clauses[clauses.length - 1].push(lastTerm);
+    negateNext = false;
+  }
+
+  // Only an unquoted word ending the query may still be being typed. A
+  // negated one is not widened, as that would exclude every word it begins
+  if (lastTerm && !lastTerm.phrase && !lastTerm.negated) lastTerm.prefix = true;
+
+  return clauses.filter(clause => clause.length > 0);
+}
+
+// Evaluate a parsed query, returning a Map of myth id -> score,
+// or null when nothing in the query could be searched
+function evaluateSearchQuery(clauses, scope) {
+  const defaultFields = getDefaultFields(scope);
+  let results = null;
+
+  clauses.forEach(clause => {
+    const clauseScores = evaluateSearchClause(clause, defaultFields);
+    if (!clauseScores) return;
+    results = results || new Map();
+    clauseScores.forEach((score, id) => results.set(id, (results.get(id) || 0) + score));
+  });
+
+  return results;
+}
+
+// The index fields searched by terms without a field prefix
+function getDefaultFields(scope) {
+  if (scope === 'studies') return ['studies'];
+  return state.searchIndex ? state.searchIndex.fields : [];
+}
+
+function evaluateSearchClause(terms, defaultFields) {
+  let scores = null;
+  const excluded = new Set();
+
+  terms.forEach(term => {
+    const matches = matchSearchTerm(term, defaultFields);
+    if (!matches) return;
+
+    if (term.negated) {
+      matches.forEach((_, id) => excluded.add(id));
+    } else if (scores === null) {
+      scores = matches;
+    } else {
+      const intersection = new Map();
+      scores.forEach((score, id) => {
+        if (matches.has(id)) intersection.set(id, score + matches.get(id));
+      });
+      scores = intersection;
+    }
+  });
+
+  // A clause made only of exclusions starts from every myth
+  if (scores === null) {
+    if (excluded.size === 0) return null;
+    scores = new Map(state.myths.map(myth => [myth.id, 0]));
+  }
+
+  excluded.forEach(id => scores.delete(id));
+  return scores;
+}
+
+// Match a single query term, returning a Map of myth id -> score
+function matchSearchTerm(term, defaultFields) {
+  const { field, value } = term;
+
+  if (CATALOG_FIELDS.includes(field)) {
+    const matches = new Map();
+    state.myths.forEach(myth => {
+      if (field === 'theme' && myth.themes.some(t => getThemeLineage(t).some(id => id.startsWith(value))) ||
+          field === 'source' && myth.sourceWork.startsWith(value) ||
+          field === 'ref' && referenceQueryMatches(myth, value) ||
+          field === 'note' && annotationsMatch(myth, value)) {
+        matches.set(myth.id, 0);
+      }
+    });
+    return matches;
+  }
+
+  const fields = field ? [field] : defaultFields;
+  const scores = searchIndex(value, fields, term.negated ? null : state.highlight.terms, term.prefix);
+  if (!scores || !term.phrase) return scores;
+
+  // Phrases must also appear verbatim in a myth with all their words. OCR
+  // sometimes splits words ("h ad s ix"), so failing that match ignoring
+  // spaces, ranked last
+  const phrase = value.replace(/\s+/g, ' ');
+  const compactPhrase = phrase.replace(/\s+/g, '');
+  if (!term.negated) state.highlight.phrases.push(phrase);
+  scores.forEach((_, id) => {
+    const texts = fields.map(f => getFieldText(state.mythsById.get(id), f).toLowerCase());
+    if (texts.some(text => text.includes(phrase))) return;
+    if (texts.some(text => text.replace(/\s+/g, '').includes(compactPhrase))) {
+      scores.set(id, 0);
+    } else {
+      scores.delete(id);
+    }
+  });
+  return scores;
+}
+
+// Parse "Genesis 6:1-4", "gen 2" or "Tehillim 82" into a canonical reference
+function parseReferenceQuery(value) {
+  const match = value.match(/^(.+?)\.?(?:\s+(\d+)(?::(\d+)(?:\s*[-–]\s*(\d+))?)?)?$/);
+  if (!match) return null;
+  const book = state.bibleBookLookup.get(match[1].replace(/\s+/g, ' ').toLowerCase());
+  if (!book) return null;
+
+  const verseStart = match[3] ? parseInt(match[3]) : null;
+  return {
+    book,
+    chapter: match[2] ? parseInt(match[2]) : null,
+    verseStart,
+    verseEnd: match[4] ? parseInt(match[4]) : verseStart
+  };
+}
+
+// A cited passage matches when it overlaps the queried book, chapter and verses;
+// anything that is not a biblical book is looked up among rabbinic citations
+function referenceQueryMatches(myth, value) {
+  const query = parseReferenceQuery(value);
+  if (!query) {
+    return (myth.rabbinicReferences || []).some(r =>
+      formatRabbinicReference(r).toLowerCase().includes(value)
+    );
+  }
+
+  return mythCitesPassage(myth, query);
+}
+
+function mythCitesPassage(myth, passage) {
+  return myth.biblicalReferences.some(ref => {
+    if (ref.book !== passage.book) return false;
+    if (passage.chapter === null) return true;
+    if (ref.chapter !== passage.chapter) return false;
+    if (passage.verseStart === null || ref.verseStart === null) return true;
+    return ref.verseStart <= passage.verseEnd && ref.verseEnd >= passage.verseStart;
+  });
+}
+
+function getFieldText(myth, field) {
+  switch (field) {
+    case 'themes':
+      return myth.themes.join(' ');
+    case 'studies':
+      return (myth.studies || []).map(s => s.citation).join(' ');
+    default:
+      return myth[field] || '';
+  }
+}
+
+// Index terms to search for a query term: the term and its known spelling
+// variants, else prefix matches when it may be a word still being typed,
+// else near misses
+function getSearchCandidates(term, allowPrefix = false) {
+  const { postings } = state.searchIndex;
+  const candidates = [term, ...TextSearch.getSpellingVariants(term)]
+    .filter(t => postings[t])
+    .map(t => ({ term: t, weight: 1, variant: t !== term }));
+  if (candidates.length > 0) return candidates;
+
+  const prefixed = allowPrefix ? state.searchTerms.filter(t => t.startsWith(term)).slice(0, 50) : [];
+  if (prefixed.length > 0) {
+    return prefixed.map(t => ({ term: t, weight: 1, variant: false }));
+  }
+
+  const maxDistance = term.length >= 8 ? 2 : term.length >= 5 ? 1 : 0;
+  if (maxDistance === 0) return [];
+  return state.searchTerms
+    .filter(t => TextSearch.editDistance(term, t, maxDistance) <= maxDistance)
+    .map(t => ({ term: t, weight: FUZZY_MATCH_WEIGHT, variant: true }));
+}
+
+// Rank myths against the prebuilt index with BM25F
+// Returns a Map of myth id -> score for myths matching every word of the text
+// within the given fields, or null when the text has no searchable terms.
+// The index terms searched for are added to matchedTerms when it is given.
+// With prefix, the last word also matches index terms it begins
+function searchIndex(text, fields, matchedTerms = null, prefix = false) {
+  const index = state.searchIndex;
+  const terms = [...new Set(TextSearch.tokenize(text))];
+  if (terms.length === 0) return null;
+
+  const stride = index.fields.length + 1;
+  const totalDocs = index.ids.length;
+  const scores = new Map();
+  const matchCounts = new Map();
+
+  terms.forEach((term, i) => {
+    const matchedDocs = new Set();
+    getSearchCandidates(term, prefix && i === terms.length - 1).forEach(candidate => {
+      if (matchedTerms) matchedTerms.add(candidate.term);
+      const postings = index.postings[candidate.term];
+      const docFrequency = postings.length / stride;
+      const idf = Math.log(1 + (totalDocs - docFrequency + 0.5) / (docFrequency + 0.5));
+
+      for (let i = 0; i < postings.length; i += stride) {
+        const docIndex = postings[i];
+        let weightedTf = 0;
+
+        fields.forEach(field => {
+          const fieldIndex = index.fields.indexOf(field);
+          const tf = postings[i + 1 + fieldIndex];
+          if (!tf) return;
+          const lengthRatio = index.fieldLengths[field][docIndex] / (index.averageLengths[field] || 1);
+          weightedTf += SEARCH_FIELD_WEIGHTS[field] * tf / (1 - BM25_B + BM25_B * lengthRatio);
+        });
+
+        if (weightedTf === 0) continue;
+        const id = index.ids[docIndex];
+        const score = candidate.weight * idf * weightedTf * (BM25_K1 + 1) / (weightedTf + BM25_K1);
+        scores.set(id, (scores.get(id) || 0) + score);
+        matchedDocs.add(id);
+
+        if (candidate.variant) {
+          if (!state.matchedVariants.has(id)) state.matchedVariants.set(id, new Set());
+          state.matchedVariants.get(id).add(candidate.term);
+        }
+      }
+    });
+
+    matchedDocs.forEach(id => matchCounts.set(id, (matchCounts.get(id) || 0) + 1));
+  });
+
+  // Every query term must match
+  for (const id of scores.keys()) {
+    if (matchCounts.get(id) !== terms.length) scores.delete(id);
+  }
+  return scores;
+}
+
+
+// Sort results
+function sortResults(results, query, themes) {
+  switch (query.sortBy) {
+    case 'relevance':
+      if (query.query) {
+        return results.sort((a, b) => b.score - a.score);
+      }
+      // A collection keeps the order its owner gave it
+      if (query.collection) {
+        const order = query.collection;
+        return results.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+      }
+      // Default order by source and number
+      return results.sort((a, b) => {
+        if (a.myth.sourceWork !== b.myth.sourceWork) {
+          return a.myth.sourceWork.localeCompare(b.myth.sourceWork);
+        }
+        return (a.myth.number || 0) - (b.myth.number || 0);
+      });
+    case 'title':
+      return results.sort((a, b) => a.myth.title.localeCompare(b.myth.title));
+    case 'source':
+      return results.sort((a, b) => {
+        const sourceOrder = state.metadata.filterOptions.sources;
+        return sourceOrder.indexOf(a.myth.sourceWork) - sourceOrder.indexOf(b.myth.sourceWork);
+      });
+    case 'theme':
+      return results.sort((a, b) => getThemeStrength(b.myth, themes) - getThemeStrength(a.myth, themes));
+    default:
+      return results;
+  }
+}
+
+// "B. Hagigah 12a", "Genesis Rabbah 8:1"
+function formatRabbinicReference(ref) {
+  const prefixes = { 'Babylonian Talmud': 'B. ', 'Jerusalem Talmud': 'Y. ', 'Mishnah': 'M. ' };
+  return `${prefixes[ref.corpus] || ''}${ref.work} ${ref.location}`;
+}
+
+function annotationsMatch(myth, value) {
+  return (state.annotations[myth.id] || []).some(a =>
+    `${a.note} ${a.quote}`.toLowerCase().includes(value)
+  );
+}
+
+// Themes
+// The taxonomy from the metadata, flattened with links to parent and children
+function indexThemes(tree, parent = null) {
+  tree.forEach(theme => {
+    const children = theme.children || [];
+    state.themesById.set(theme.id, { id: theme.id, parent, children: children.map(child => child.id) });
+    indexThemes(children, theme.id);
+  });
+}
+
+// A theme followed by its parent, grandparent and so on
+function getThemeLineage(id) {
+  const lineage = [];
+  for (let theme = id; theme; theme = state.themesById.get(theme)?.parent) {
+    lineage.push(theme);
+  }
+  return lineage;
+}
+
+// The given themes with all their sub-themes
+function expandThemes(ids) {
+  const expanded = new Set();
+  const add = id => {
+    if (expanded.has(id)) return;
+    expanded.add(id);
+    (state.themesById.get(id)?.children || []).forEach(add);
+  };
+  ids.forEach(add);
+  return [...expanded];
+}
+
+// A myth's confidence for a theme, from 0 to 1
+function getThemeScore(myth, theme) {
+  return (myth.themeScores || {})[theme] || 0;
+}
+
+// How strongly a myth is about the given themes, or its strongest theme
+// when none are given
+function getThemeStrength(myth, themes) {
+  return Math.max(0, ...(themes.length > 0 ? themes : myth.themes).map(theme => getThemeScore(myth, theme)));
+}
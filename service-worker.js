@@ -0,0 +1,205 @@
+/**
+ * Service worker
+ * Keeps the app shell and the data in caches so the database works offline.
+ * The shell is served from the cache and refreshed in the background; the
+ * data is kept as one cache per build, named after the catalog's version and
+ * generated date, and replaced as a whole when a new build is published.
+ * Pages ask for data files of the build whose catalog they loaded, so an
+ * earlier build is kept until no page is left open that may still use it
+ */
+
+// Bump to replace the shell cache when files are added or removed
+const SHELL_CACHE = 'midrashim-shell-v1';
+const DATA_CACHE_PREFIX = 'midrashim-data-';
+const FONTS_CACHE = 'midrashim-fonts';
+// Records which data cache is in use, apart from the shell so that a new
+// shell does not mean downloading the data again
+const META_CACHE = 'midrashim-meta';
+const DATA_VERSION_KEY = 'data-version';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'styles.css',
+  'app.js',
+  'search-worker.js',
+  'text-search.js',
+  'manifest.webmanifest',
+  'icons/icon.svg'
+];
+
+// Self-hosted fallbacks for Google Fonts, so the app keeps its type offline
+const FONT_FILES = [
+  'fonts/inter-variable.woff2',
+  'fonts/crimson-pro-variable.woff2',
+  'fonts/crimson-pro-italic-variable.woff2'
+];
+
+self.addEventListener('install', (e) => {
+  e.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+    const fonts = await caches.open(FONTS_CACHE);
+    await fonts.addAll(FONT_FILES);
+    if (!(await getDataCacheName())) await updateData();
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (e) => {
+  e.waitUntil((async () => {
+    const keep = [SHELL_CACHE, FONTS_CACHE, META_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => !keep.includes(name) && !name.startsWith(DATA_CACHE_PREFIX))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (e) => {
+  const url = new URL(e.request.url);
+  if (e.request.method !== 'GET') return;
+
+  if (url.origin === 'https://fonts.googleapis.com' || url.origin === 'https://fonts.gstatic.com') {
+    e.respondWith(cacheFirst(FONTS_CACHE, e));
+  } else if (url.origin !== self.location.origin) {
+    return;
+  } else if (url.pathname.endsWith('/data/catalog.json')) {
+    e.respondWith(serveCatalog(e));
+  } else if (url.pathname.includes('/data/')) {
+    e.respondWith(serveData(e));
+  } else if (url.pathname.includes('/fonts/')) {
+    e.respondWith(cacheFirst(FONTS_CACHE, e));
+  } else {
+    e.respondWith(staleWhileRevalidate(SHELL_CACHE, e));
+  }
+});
+
+// The name of the data cache in use, or null before the first download
+async function getDataCacheName() {
+  const meta = await caches.open(META_CACHE);
+  const response = await meta.match(DATA_VERSION_KEY);
+  return response ? `${DATA_CACHE_PREFIX}${await response.text()}` : null;
+}
+
+// The build a catalog belongs to, as app.js and the search worker name it
+// in the build parameter of their data requests
+function getDataVersion(catalog) {
+  return toCacheVersion(`${catalog.metadata.version}-${catalog.metadata.generated}`);
+}
+
+function toCacheVersion(build) {
+  return build.replace(/[^\w.-]/g, '');
+}
+
+// Download a build into its own cache: the catalog, the search index and
+// every text shard it names. Only once all of it is stored does it become
+// the cache in use, so a failed download leaves the previous build intact.
+// Resolves to true when a new build was installed
+let dataUpdate = null;
+
+function updateData() {
+  if (!dataUpdate) {
+    dataUpdate = downloadData().finally(() => { dataUpdate = null; });
+  }
+  return dataUpdate;
+}
+
+async function downloadData() {
+  const response = await fetch('data/catalog.json', { cache: 'no-store' });
+  if (!response.ok) throw new Error('Failed to load catalog');
+  const catalog = await response.clone().json();
+  const version = getDataVersion(catalog);
+  const name = `${DATA_CACHE_PREFIX}${version}`;
+  const previous = await getDataCacheName();
+  if (name === previous) return false;
+
+  const cache = await caches.open(name);
+  const shards = [...new Set(catalog.myths.map(myth => myth.shard))];
+  try {
+    await cache.addAll([
+      new Request('data/search-index.json', { cache: 'no-store' }),
+      ...shards.map(shard => new Request(`data/text/${shard}.json`, { cache: 'no-store' }))
+    ]);
+    await cache.put('data/catalog.json', response);
+  } catch (error) {
+    await caches.delete(name);
+    throw error;
+  }
+
+  const meta = await caches.open(META_CACHE);
+  await meta.put(DATA_VERSION_KEY, new Response(version));
+  return true;
+}
+
+// Remove the caches of earlier builds once the only page open is the one
+// starting on the current build. A build still downloading is left alone
+async function pruneDataCaches(e) {
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (dataUpdate || windows.some(client => client.id !== e.clientId)) return;
+  const current = await getDataCacheName();
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter(name => name.startsWith(DATA_CACHE_PREFIX) && name !== current)
+    .map(name => caches.delete(name)));
+}
+
+// The catalog comes from the cache so the app starts at once; meanwhile the
+// network is asked for a newer build, and open pages are told when one has
+// been downloaded
+async function serveCatalog(e) {
+  const name = await getDataCacheName();
+  const cached = name ? await (await caches.open(name)).match('data/catalog.json') : null;
+  if (!cached) return fetch(e.request);
+
+  e.waitUntil(pruneDataCaches(e)
+    .catch(() => {})
+    .then(updateData)
+    .then(async updated => {
+      if (!updated) return;
+      const clients = await self.clients.matchAll();
+      clients.forEach(client => client.postMessage({ type: 'data-updated' }));
+    })
+    .catch(() => {}));
+  return cached;
+}
+
+// Search index and text shards come from the build named by the request,
+// or the build in use when it names none. Anything missing from the build
+// in use is fetched and added
+async function serveData(e) {
+  const build = new URL(e.request.url).searchParams.get('build');
+  const current = await getDataCacheName();
+  const name = build ? `${DATA_CACHE_PREFIX}${toCacheVersion(build)}` : current;
+  if (!name || !(await caches.has(name))) return fetch(e.request);
+  const cache = await caches.open(name);
+  const cached = await cache.match(e.request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const response = await fetch(e.request);
+  if (response.ok && name === current) {
+    e.waitUntil(cache.put(new URL(e.request.url).pathname, response.clone()));
+  }
+  return response;
+}
+
+async function cacheFirst(cacheName, e) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(e.request);
+  if (cached) return cached;
+
+  const response = await fetch(e.request);
+  if (response.ok || response.type === 'opaque') e.waitUntil(cache.put(e.request, response.clone()));
+  return response;
+}
+
+async function staleWhileRevalidate(cacheName, e) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(e.request, { ignoreSearch: true });
+  const refresh = fetch(e.request);
+  e.waitUntil(refresh
+    .then(response => response.ok && cache.put(e.request, response.clone()))
+    .catch(() => {}));
+  return cached || refresh;
+}
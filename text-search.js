@@ -0,0 +1,189 @@
+/**
+ * Shared text analysis for the search index
+ * Used by parse-data.js when building the index, by search-worker.js at query time
+ * and by app.js to highlight matches, so all of them tokenize and stem identically
+ */
+
+(function (root) {
+  const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from',
+    'had', 'has', 'have', 'he', 'her', 'his', 'i', 'in', 'into', 'is', 'it',
+    'its', 'of', 'on', 'or', 'she', 'so', 'that', 'the', 'their', 'them',
+    'then', 'there', 'they', 'this', 'to', 'was', 'were', 'which', 'who',
+    'will', 'with'
+  ]);
+
+  // Transliterations of the same Hebrew name or term; a query for any one
+  // spelling also searches the others
+  const SPELLING_VARIANTS = [
+    ['gehenna', 'gehinnom', 'gehinom', 'gehinam', 'geihinnom'],
+    ['samael', 'sammael', 'samail'],
+    ['merkavah', 'merkabah', 'merkaba'],
+    ['shekhinah', 'shekinah', 'shechinah', 'schechinah'],
+    ['hayyot', 'hayot', 'chayot', 'chayyot'],
+    ['ofanim', 'ophanim'],
+    ['sefirot', 'sephirot', 'sefiroth', 'sephiroth'],
+    ['kabbalah', 'kabalah', 'qabbalah', 'cabala'],
+    ['metatron', 'mattatron'],
+    ['sandalfon', 'sandalphon'],
+    ['leviathan', 'livyatan'],
+    ['tzaddik', 'zaddik', 'tsaddik'],
+    ['tzaddikim', 'zaddikim', 'tsaddikim'],
+    ['yetzer', 'yezer', 'yetser'],
+    ['moshiach', 'mashiach', 'meshiach'],
+    ['lilith', 'lilit'],
+    ['asmodeus', 'ashmedai', 'ashmodai'],
+    ['elijah', 'eliyahu'],
+    ['pardes', 'pardess'],
+    ['zohar', 'sohar']
+  ];
+
+  // Light suffix-stripping stemmer, enough to fold plurals and verb forms
+  // ("angels" -> "angel", "created" -> "creat", "creation" -> "creat")
+  const SUFFIXES = [
+    ['ational', 'ate'], ['ations', 'ate'], ['ation', 'ate'], ['nesses', ''], ['ness', ''],
+    ['ments', ''], ['ment', ''], ['ingly', ''], ['edly', ''], ['ings', ''],
+    ['ing', ''], ['ies', 'y'], ['ied', 'y'], ['sses', 'ss'], ['ches', 'ch'],
+    ['shes', 'sh'], ['xes', 'x'], ['ed', ''], ['ly', ''], ['s', '']
+  ];
+
+  // Words the suffixes above would mangle: singular nouns ending in -ies,
+  // and the names parse-data.js finds among its figures and biblical books
+  // ("moses" is not the plural of "mose"), which come with the catalog
+  const STEM_EXCEPTIONS = new Set(['series', 'species']);
+
+  function addStemExceptions(words) {
+    words.forEach(word => STEM_EXCEPTIONS.add(word));
+    variantLookup = null;
+    spellingLookup = null;
+  }
+
+  function stem(word) {
+    if (word.length <= 3 || STEM_EXCEPTIONS.has(word)) return word;
+    for (const [suffix, replacement] of SUFFIXES) {
+      if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+        // Keep "ss" endings like "abyss" intact
+        if (suffix === 's' && word.endsWith('ss')) return word;
+        const stemmed = word.slice(0, -suffix.length) + replacement;
+        // "creat" and "create" should meet in the middle
+        return stemmed.endsWith('e') && stemmed.length > 4 ? stemmed.slice(0, -1) : stemmed;
+      }
+    }
+    return word.endsWith('e') && word.length > 4 ? word.slice(0, -1) : word;
+  }
+
+  // Split text into lowercased, stemmed terms with stopwords removed
+  function tokenize(text) {
+    if (!text) return [];
+    return text
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9']+/)
+      .map(word => word.replace(/^'+|'+$/g, '').replace(/'s$/, ''))
+      .filter(word => word && !STOPWORDS.has(word))
+      .map(stem);
+  }
+
+  // Where words whose stems are among terms, and any of the phrases, occur in
+  // text. Returns sorted, non-overlapping [start, end] ranges into text
+  function findMatches(text, terms, phrases = []) {
+    if (!text) return [];
+    const termSet = terms instanceof Set ? terms : new Set(terms);
+    const ranges = [];
+
+    if (termSet.size > 0) {
+      for (const match of text.matchAll(/[\p{L}\p{N}']+/gu)) {
+        const word = match[0].replace(/^'+|'+$/g, '');
+        if (!word || !tokenize(word).some(term => termSet.has(term))) continue;
+        const start = match.index + match[0].indexOf(word);
+        ranges.push([start, start + word.length]);
+      }
+    }
+
+    const lower = text.toLowerCase();
+    phrases.forEach(phrase => {
+      let index = lower.indexOf(phrase);
+      while (index !== -1 && phrase) {
+        ranges.push([index, index + phrase.length]);
+        index = lower.indexOf(phrase, index + phrase.length);
+      }
+    });
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    ranges.forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+    return merged;
+  }
+
+  // Stemmed spellings equivalent to a stemmed term, not including the term itself
+  let variantLookup = null;
+  let spellingLookup = null;
+  function getSpellingVariants(term) {
+    if (!variantLookup) indexSpellingVariants();
+    return variantLookup.get(term) || [];
+  }
+
+  // The spelling in SPELLING_VARIANTS a stemmed variant comes from, or null
+  function getVariantSpelling(term) {
+    if (!spellingLookup) indexSpellingVariants();
+    return spellingLookup.get(term) || null;
+  }
+
+  function indexSpellingVariants() {
+    variantLookup = new Map();
+    spellingLookup = new Map();
+    SPELLING_VARIANTS.forEach(group => {
+      const stems = group.map(stem);
+      stems.forEach((s, i) => {
+        variantLookup.set(s, stems.filter(other => other !== s));
+        if (!spellingLookup.has(s)) spellingLookup.set(s, group[i]);
+      });
+    });
+  }
+
+  // Levenshtein distance, giving up early once it exceeds maxDistance
+  function editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > maxDistance) return maxDistance + 1;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  const TextSearch = {
+    STOPWORDS,
+    SPELLING_VARIANTS,
+    STEM_EXCEPTIONS,
+    addStemExceptions,
+    stem,
+    tokenize,
+    getSpellingVariants,
+    getVariantSpelling,
+    editDistance,
+    findMatches
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextSearch;
+  } else {
+    root.TextSearch = TextSearch;
+  }
+})(typeof self !== 'undefined' ? self : this);